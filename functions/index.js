@@ -0,0 +1,274 @@
+// Cloud Functions：刮刮樂登錄、抽獎、序號發放與中獎通知
+// 本機測試：npm run serve（啟動 Functions + Firestore emulator）
+const { createHash } = require("crypto");
+const { initializeApp } = require("firebase-admin/app");
+const {
+  getFirestore,
+  FieldValue,
+  Timestamp,
+} = require("firebase-admin/firestore");
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onDocumentCreated } = require("firebase-functions/v2/firestore");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
+const { setGlobalOptions } = require("firebase-functions/v2");
+const { submitEntry, markRevealed, lookupEntries } = require("./lottery-core");
+const { createProvider } = require("./notify");
+
+setGlobalOptions({ region: "asia-east1" });
+
+initializeApp();
+const db = getFirestore();
+
+const APP_ID_REGEX = /^[\w-]+$/;
+
+const checkAppId = (appId) => {
+  if (!APP_ID_REGEX.test(appId || "")) {
+    throw new HttpsError("invalid-argument", "活動代碼錯誤");
+  }
+};
+
+// lottery-core 登錄流程使用的資料存取介面（路徑相對於 artifacts/{appId}/public/data）
+const createStore = (appId) => {
+  const base = `artifacts/${appId}/public/data`;
+  const docRef = (path) => db.doc(`${base}/${path}`);
+  const buildQuery = (name, { where = [], limit } = {}) => {
+    let query = db.collection(`${base}/${name}`);
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+    return limit ? query.limit(limit) : query;
+  };
+  const toRows = (snap) => snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  return {
+    getDoc: async (path) => {
+      const snap = await docRef(path).get();
+      return snap.exists ? snap.data() : null;
+    },
+    query: async (name, query) => toRows(await buildQuery(name, query).get()),
+    runTransaction: (fn) =>
+      db.runTransaction((transaction) =>
+        fn({
+          get: async (path) => {
+            const snap = await transaction.get(docRef(path));
+            return snap.exists ? snap.data() : null;
+          },
+          query: async (name, query) =>
+            toRows(await transaction.get(buildQuery(name, query))),
+          set: (path, data, options = {}) =>
+            transaction.set(docRef(path), data, options),
+          update: (path, data) => transaction.update(docRef(path), data),
+        }),
+      ),
+    newId: (name) => db.collection(`${base}/${name}`).doc().id,
+    serverTimestamp: () => FieldValue.serverTimestamp(),
+    error: (code, message) => new HttpsError(code, message),
+  };
+};
+
+// 登錄訂單（流程見 lottery-core 的 submitEntry），回傳 { orderId, lookupCode, prize, serial, coupon }
+exports.submitEntry = onCall(async (request) => {
+  const { appId } = request.data || {};
+  checkAppId(appId);
+  return submitEntry(createStore(appId), request.data, {
+    userId: request.auth?.uid || null,
+  });
+});
+
+// 客人刮開刮刮樂後記錄 revealedAt（只寫第一次），以登錄時發給客人的查詢碼驗證
+exports.markRevealed = onCall(async (request) => {
+  const { appId } = request.data || {};
+  checkAppId(appId);
+  return markRevealed(createStore(appId), request.data);
+});
+
+// --- 客人查詢登錄紀錄 ---
+// 以固定時間窗計數限制查詢次數，避免以大量手機號碼/查詢碼組合列舉資料
+// 計數存放於 rate_limits/{SHA-256(key)}，expireAt 可搭配 Firestore TTL 政策自動清除
+const LOOKUP_LIMITS = {
+  phone: { max: 5, windowMs: 15 * 60 * 1000 }, // 同一支手機 15 分鐘 5 次
+  ip: { max: 30, windowMs: 60 * 60 * 1000 }, // 同一個 IP 1 小時 30 次
+};
+
+// 計入一次查詢，超過上限時回傳 false
+const consumeRateLimit = (appId, key, { max, windowMs }) => {
+  const ref = db.doc(
+    `artifacts/${appId}/public/data/rate_limits/${createHash("sha256")
+      .update(key)
+      .digest("hex")}`,
+  );
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+    const now = Date.now();
+    const data = snap.exists ? snap.data() : null;
+    if (!data || now - data.windowStart.toMillis() >= windowMs) {
+      transaction.set(ref, {
+        count: 1,
+        windowStart: Timestamp.fromMillis(now),
+        expireAt: Timestamp.fromMillis(now + windowMs),
+      });
+      return true;
+    }
+    if (data.count >= max) return false;
+    transaction.update(ref, { count: FieldValue.increment(1) });
+    return true;
+  });
+};
+
+// 以手機號碼 + 查詢碼（或訂單編號）查詢該手機的全部登錄紀錄（流程見 lottery-core 的 lookupEntries）
+// 同一個 IP 與同一支手機都要在查詢次數限制內
+exports.lookupEntries = onCall(async (request) => {
+  const { appId } = request.data || {};
+  checkAppId(appId);
+  const ip = request.rawRequest?.ip || "unknown";
+  return lookupEntries(createStore(appId), request.data, {
+    consumeRateLimit: async (phone) =>
+      (await consumeRateLimit(appId, `lookup:ip:${ip}`, LOOKUP_LIMITS.ip)) &&
+      (await consumeRateLimit(
+        appId,
+        `lookup:phone:${phone}`,
+        LOOKUP_LIMITS.phone,
+      )),
+  });
+});
+
+// --- 中獎通知 ---
+// notify_queue/{orderId}：submitEntry 建立後立即嘗試發送，失敗時依 NOTIFY_BACKOFF_MINUTES 延後重試，
+// 超過次數標記 failed；每次嘗試都寫入 notify_logs，發送成功時自動將訂單標記為已發獎並留下稽核紀錄
+const NOTIFY_BACKOFF_MINUTES = [1, 5, 30, 120];
+const NOTIFY_MAX_ATTEMPTS = NOTIFY_BACKOFF_MINUTES.length + 1;
+// 發送中的通知暫時往後延，避免排程重試與觸發同時發送；程式中斷時過期後會被重新撿起
+const NOTIFY_LEASE_MS = 5 * 60 * 1000;
+
+const maskPhone = (phone) => `${phone.slice(0, 4)}***${phone.slice(7)}`;
+
+const processNotification = async (queueRef) => {
+  const dataRef = queueRef.parent.parent;
+  const orderRef = dataRef.collection("orders").doc(queueRef.id);
+
+  // 1. 取得發送權（attempts + 1 並延後 nextAttemptAt）
+  const item = await db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(queueRef);
+    const data = snap.data();
+    if (
+      !data ||
+      data.status !== "pending" ||
+      data.nextAttemptAt?.toMillis() > Date.now()
+    ) {
+      return null;
+    }
+    transaction.update(queueRef, {
+      attempts: data.attempts + 1,
+      nextAttemptAt: Timestamp.fromMillis(Date.now() + NOTIFY_LEASE_MS),
+    });
+    return { ...data, attempts: data.attempts + 1 };
+  });
+  if (!item) return;
+
+  // 2. 發送
+  let provider = null;
+  let messageId = null;
+  let error = null;
+  try {
+    provider = createProvider();
+    ({ messageId } = await provider.send({
+      phone: item.phone,
+      message: item.message,
+    }));
+  } catch (err) {
+    error = err.message || String(err);
+  }
+
+  // 3. 記錄結果
+  const providerName = provider?.name || process.env.NOTIFY_PROVIDER || "";
+  await db.runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    transaction.set(dataRef.collection("notify_logs").doc(), {
+      orderId: queueRef.id,
+      branch: item.branch,
+      provider: providerName,
+      to: maskPhone(item.phone),
+      attempt: item.attempts,
+      success: !error,
+      messageId: messageId || null,
+      error,
+      at: FieldValue.serverTimestamp(),
+    });
+
+    // 訂單已不存在時不再重試，也不更新訂單
+    if (!orderSnap.exists) {
+      transaction.update(queueRef, {
+        status: "failed",
+        lastError: "訂單不存在",
+        nextAttemptAt: null,
+      });
+      return;
+    }
+    const order = orderSnap.data();
+
+    if (!error) {
+      transaction.update(queueRef, {
+        status: "sent",
+        sentAt: FieldValue.serverTimestamp(),
+        provider: providerName,
+        messageId: messageId || null,
+        lastError: null,
+      });
+      const orderUpdate = { notifyStatus: "sent" };
+      // 工作人員已手動標記時不重複寫入稽核紀錄
+      if (!order.prizeSent) {
+        const logRef = dataRef.collection("audit_logs").doc();
+        transaction.set(logRef, {
+          targetType: "orders",
+          targetId: queueRef.id,
+          branch: item.branch,
+          action: "prizeSent",
+          before: { prizeSent: false },
+          after: { prizeSent: true },
+          actorUid: "system",
+          actorEmail: "",
+          actorName: `自動通知（${providerName}）`,
+          at: FieldValue.serverTimestamp(),
+        });
+        Object.assign(orderUpdate, { prizeSent: true, lastAuditId: logRef.id });
+      }
+      transaction.update(orderRef, orderUpdate);
+      return;
+    }
+
+    const giveUp = item.attempts >= NOTIFY_MAX_ATTEMPTS;
+    transaction.update(queueRef, {
+      status: giveUp ? "failed" : "pending",
+      lastError: error,
+      nextAttemptAt: giveUp
+        ? null
+        : Timestamp.fromMillis(
+            Date.now() + NOTIFY_BACKOFF_MINUTES[item.attempts - 1] * 60 * 1000,
+          ),
+    });
+    transaction.update(orderRef, {
+      notifyStatus: giveUp ? "failed" : "retrying",
+    });
+  });
+  if (error) console.error(`Notify ${queueRef.path} failed:`, error);
+};
+
+exports.sendNotification = onDocumentCreated(
+  "artifacts/{appId}/public/data/notify_queue/{orderId}",
+  (event) => processNotification(event.data.ref),
+);
+
+// 定期撿起到期的重試（含中斷未完成的發送）
+exports.retryNotifications = onSchedule(
+  { schedule: "every 5 minutes", timeZone: "Asia/Taipei" },
+  async () => {
+    const snap = await db
+      .collectionGroup("notify_queue")
+      .where("status", "==", "pending")
+      .where("nextAttemptAt", "<=", Timestamp.now())
+      .limit(100)
+      .get();
+    for (const d of snap.docs) {
+      await processNotification(d.ref);
+    }
+  },
+);
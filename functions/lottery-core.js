@@ -0,0 +1,1060 @@
+// 活動共用邏輯：活動設定、驗證、抽獎演算法與登錄流程
+// 瀏覽器端以 <script> 載入（掛在 window.LotteryCore），Cloud Functions 端以 require 載入
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LotteryCore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // --- Default Campaign ---
+  // 活動設定存放於 artifacts/{appId}/public/data/config/campaign，
+  // 文件不存在或缺少欄位時以下列預設值補上
+
+  // 預設活動期間為當年 2 月：回傳 min/max（考慮閏年）
+  const getFebruaryDateRange = () => {
+    const year = new Date().getFullYear();
+    const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    const maxDay = isLeap ? 29 : 28;
+    return {
+      min: `${year}-02-01`,
+      max: `${year}-02-${String(maxDay).padStart(2, "0")}`,
+    };
+  };
+
+  const DEFAULT_DATE_RANGE = getFebruaryDateRange();
+
+  const DEFAULT_CAMPAIGN = {
+    // 分店與各分店對應的包廂列表
+    branches: [
+      { name: "大林店", rooms: ["南", "西", "北", "中", "發", "白"] },
+      {
+        name: "八德店",
+        rooms: ["梅", "蘭", "竹", "菊", "春", "夏", "秋", "冬", "轉運", "改運"],
+      },
+      {
+        name: "南崁店",
+        rooms: ["1條", "2條", "3條", "4條", "5條", "6條", "7條"],
+      },
+      { name: "草漯店", rooms: ["1筒", "2筒", "3筒", "4筒", "5筒", "6筒"] },
+      {
+        name: "楊梅店",
+        rooms: ["康", "財", "福", "祿", "壽", "喜", "順", "安", "旺"],
+      },
+      {
+        name: "中和中正店",
+        rooms: ["壹", "貳", "參", "肆", "伍", "陸", "柒", "捌", "玖", "拾"],
+      },
+    ],
+    durations: [
+      { label: "1小時", val: 1 },
+      { label: "2小時", val: 2 },
+      { label: "3小時", val: 3 },
+      { label: "4小時", val: 4 },
+      { label: "5小時", val: 5 },
+      { label: "6小時", val: 6 },
+      { label: "8小時", val: 8 },
+      { label: "12小時", val: 12 },
+    ],
+    // limit 為 -1 表示不限量
+    prizes: [
+      { id: "none_1", name: "銘謝惠顧", type: "none", prob: 0.2625, limit: -1 },
+      {
+        id: "none_2",
+        name: "下次再加油",
+        type: "none",
+        prob: 0.2625,
+        limit: -1,
+      },
+      { id: "ext_1h", name: "1小時續時券", type: "win", prob: 0.2, limit: -1 },
+      { id: "disc_50", name: "50元折價券", type: "win", prob: 0.2, limit: -1 },
+      { id: "ext_2h", name: "2小時續時券", type: "win", prob: 0.06, limit: 30 },
+      {
+        id: "free_2h",
+        name: "2小時免費包廂卷",
+        type: "win",
+        prob: 0.01,
+        limit: 15,
+      },
+      {
+        id: "free_4h",
+        name: "4小時免費包廂卷",
+        type: "win",
+        prob: 0.005,
+        limit: 5,
+      },
+    ],
+    // 限量獎項已無庫存時改發的獎項
+    fallbackPrizeId: "disc_50",
+    // 中獎兌換碼自發出當天起算的有效天數；獎項可另設 validDays 覆蓋，
+    // 或以 expiresOn（YYYY-MM-DD）指定最晚兌換日
+    couponValidDays: 30,
+    // 中獎通知簡訊／LINE 訊息範本，獎項可另設 notifyTemplate 覆蓋；可用欄位見 NOTIFY_TEMPLATE_FIELDS
+    notifyTemplate:
+      "【桃園闆娘麻將館】恭喜您刮中「{prizeName}」！兌換碼 {couponCode}，請於 {expiresAt} 前至櫃台出示兌換。",
+    // 可登錄的消費日期區間（含頭尾）
+    dateRange: DEFAULT_DATE_RANGE,
+    // 開放登錄的時間（ISO 8601），決定活動狀態：upcoming / open / closed
+    startAt: `${DEFAULT_DATE_RANGE.min}T00:00:00+08:00`,
+    endAt: `${DEFAULT_DATE_RANGE.max}T23:59:59+08:00`,
+    // 活動結束後首頁顯示的得獎名單連結（可留空）
+    winnersUrl: "",
+    // 消費滿幾小時才具備大獎抽獎資格
+    grandMinDuration: 4,
+    // 直播抽出的大獎，count 為各獎項名額
+    grandPrizes: [
+      { id: "first", name: "頭獎", prize: "iPhone 17", count: 1 },
+      { id: "second", name: "二獎", prize: "現金$8800", count: 1 },
+      { id: "third", name: "三獎", prize: "儲值金$6600", count: 1 },
+    ],
+  };
+
+  const PRIZE_TYPES = ["none", "win"];
+
+  const PHONE_REGEX = /^09\d{8}$/;
+  const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+  // --- Helper Functions ---
+  // 以預設值補齊 Firestore 上的活動設定
+  const mergeCampaign = (data) => ({ ...DEFAULT_CAMPAIGN, ...(data || {}) });
+
+  // --- Notification Template ---
+  // 範本以 {欄位} 代入中獎資料，例如「恭喜刮中 {prizeName}」
+  const NOTIFY_TEMPLATE_FIELDS = {
+    prizeName: "獎項名稱",
+    couponCode: "兌換碼",
+    expiresAt: "兌換期限",
+    branch: "登錄分店",
+    serial: "大獎抽獎序號",
+  };
+
+  const findUnknownTemplateFields = (template) =>
+    [...template.matchAll(/\{(\w+)\}/g)]
+      .map((m) => m[1])
+      .filter((key) => !(key in NOTIFY_TEMPLATE_FIELDS));
+
+  const getNotifyTemplate = (campaign, prize) =>
+    prize.notifyTemplate || campaign.notifyTemplate;
+
+  const renderNotifyTemplate = (template, vars) =>
+    template.replace(/\{(\w+)\}/g, (match, key) =>
+      key in NOTIFY_TEMPLATE_FIELDS ? String(vars[key] ?? "") : match,
+    );
+
+  // 檢查活動設定，回傳錯誤訊息陣列（空陣列表示設定正確）
+  const validateCampaign = (campaign) => {
+    const errors = [];
+    const { prizes, branches, durations, dateRange } = campaign || {};
+
+    if (!Array.isArray(prizes) || prizes.length === 0) {
+      errors.push("至少需要一個獎項");
+    } else {
+      const ids = new Set();
+      prizes.forEach((p, i) => {
+        const label = p?.name || `第 ${i + 1} 個獎項`;
+        if (!p?.id) errors.push(`${label}：缺少獎項代碼`);
+        else if (ids.has(p.id)) errors.push(`獎項代碼重複：${p.id}`);
+        ids.add(p?.id);
+        if (!p?.name) errors.push(`${label}：缺少獎項名稱`);
+        if (!PRIZE_TYPES.includes(p?.type)) {
+          errors.push(`${label}：類型必須是 none 或 win`);
+        }
+        if (typeof p?.prob !== "number" || !(p.prob >= 0 && p.prob <= 1)) {
+          errors.push(`${label}：機率必須介於 0 到 1`);
+        }
+        if (!Number.isInteger(p?.limit) || p.limit < -1) {
+          errors.push(`${label}：數量上限必須是 -1（不限量）或 0 以上的整數`);
+        }
+        if (
+          p?.validDays != null &&
+          (!Number.isInteger(p.validDays) || p.validDays < 0)
+        ) {
+          errors.push(`${label}：兌換有效天數必須是 0 以上的整數`);
+        }
+        if (p?.expiresOn && !DATE_REGEX.test(p.expiresOn)) {
+          errors.push(`${label}：最晚兌換日格式錯誤（YYYY-MM-DD）`);
+        }
+        if (p?.notifyTemplate) {
+          const unknown = findUnknownTemplateFields(p.notifyTemplate);
+          if (unknown.length) {
+            errors.push(
+              `${label}：通知範本有不支援的欄位 ${unknown.join("、")}`,
+            );
+          }
+        }
+        if (
+          p?.sameBranchOnly != null &&
+          typeof p.sameBranchOnly !== "boolean"
+        ) {
+          errors.push(`${label}：限原分店兌換設定錯誤`);
+        }
+      });
+      const total = prizes.reduce((sum, p) => sum + (Number(p?.prob) || 0), 0);
+      if (Math.abs(total - 1) > 1e-6) {
+        errors.push(`獎項機率總和必須為 1（目前為 ${+total.toFixed(6)}）`);
+      }
+      if (!prizes.some((p) => p?.id === campaign.fallbackPrizeId)) {
+        errors.push(`找不到庫存不足時改發的獎項：${campaign.fallbackPrizeId}`);
+      }
+    }
+
+    if (!Array.isArray(branches) || branches.length === 0) {
+      errors.push("至少需要一間分店");
+    } else {
+      const names = new Set();
+      branches.forEach((b, i) => {
+        const label = b?.name || `第 ${i + 1} 間分店`;
+        if (!b?.name) errors.push(`${label}：缺少分店名稱`);
+        else if (names.has(b.name)) errors.push(`分店名稱重複：${b.name}`);
+        names.add(b?.name);
+        if (!Array.isArray(b?.rooms) || b.rooms.length === 0) {
+          errors.push(`${label}：至少需要一間包廂`);
+        } else if (b.rooms.some((r) => typeof r !== "string" || !r)) {
+          errors.push(`${label}：包廂名稱不可空白`);
+        } else if (new Set(b.rooms).size !== b.rooms.length) {
+          errors.push(`${label}：包廂名稱重複`);
+        }
+      });
+    }
+
+    if (!Array.isArray(durations) || durations.length === 0) {
+      errors.push("至少需要一個時長選項");
+    } else if (
+      durations.some((d) => !Number.isInteger(d?.val) || d.val <= 0 || !d.label)
+    ) {
+      errors.push("時長選項必須有名稱與正整數時數");
+    }
+
+    if (
+      !DATE_REGEX.test(dateRange?.min || "") ||
+      !DATE_REGEX.test(dateRange?.max || "") ||
+      dateRange.min > dateRange.max
+    ) {
+      errors.push("活動日期區間格式錯誤（YYYY-MM-DD，且開始不得晚於結束）");
+    }
+
+    const startAt = Date.parse(campaign?.startAt);
+    const endAt = Date.parse(campaign?.endAt);
+    if (Number.isNaN(startAt) || Number.isNaN(endAt) || startAt >= endAt) {
+      errors.push("開放登錄時間格式錯誤，且開始時間必須早於結束時間");
+    }
+
+    if (
+      !Number.isInteger(campaign?.couponValidDays) ||
+      campaign.couponValidDays < 0
+    ) {
+      errors.push("兌換碼有效天數必須是 0 以上的整數");
+    }
+
+    if (
+      typeof campaign?.notifyTemplate !== "string" ||
+      !campaign.notifyTemplate
+    ) {
+      errors.push("缺少中獎通知範本");
+    } else {
+      const unknown = findUnknownTemplateFields(campaign.notifyTemplate);
+      if (unknown.length) {
+        errors.push(`中獎通知範本有不支援的欄位 ${unknown.join("、")}`);
+      }
+    }
+
+    if (
+      typeof campaign?.grandMinDuration !== "number" ||
+      !(campaign.grandMinDuration > 0)
+    ) {
+      errors.push("大獎資格時數必須大於 0");
+    }
+
+    if (!Array.isArray(campaign?.grandPrizes) || !campaign.grandPrizes.length) {
+      errors.push("至少需要一個大獎");
+    } else {
+      const ids = new Set();
+      campaign.grandPrizes.forEach((g, i) => {
+        const label = g?.name || `第 ${i + 1} 個大獎`;
+        if (!g?.id) errors.push(`${label}：缺少大獎代碼`);
+        else if (ids.has(g.id)) errors.push(`大獎代碼重複：${g.id}`);
+        ids.add(g?.id);
+        if (!g?.name || !g?.prize) errors.push(`${label}：缺少名稱或獎品`);
+        if (!Number.isInteger(g?.count) || g.count < 1) {
+          errors.push(`${label}：名額必須是 1 以上的整數`);
+        }
+      });
+    }
+
+    return errors;
+  };
+
+  // 依開放登錄時間判斷活動狀態：upcoming（尚未開始）、open（進行中）、closed（已結束）
+  const getCampaignStatus = (campaign, now = Date.now()) => {
+    if (now < Date.parse(campaign.startAt)) return "upcoming";
+    if (now > Date.parse(campaign.endAt)) return "closed";
+    return "open";
+  };
+
+  // 取得分店的包廂列表
+  const getBranchRooms = (campaign, branchName) => {
+    return campaign.branches.find((b) => b.name === branchName)?.rooms || [];
+  };
+
+  // 依機率抽出獎項；counts 為 stats/prize_counts 中各限量獎項已發出的數量
+  // 回傳 { prize, fallbackFrom }，fallbackFrom 為因庫存不足而被替換掉的原獎項
+  const drawPrize = (campaign, counts, rand = Math.random()) => {
+    const { prizes } = campaign;
+    let cumulative = 0;
+    let selectedPrize = prizes[0];
+
+    // Simple weighted random selection
+    for (const p of prizes) {
+      cumulative += p.prob;
+      if (rand < cumulative) {
+        selectedPrize = p;
+        break;
+      }
+    }
+
+    const isSoldOut = (p) => p.limit !== -1 && (counts[p.id] || 0) >= p.limit;
+    if (!isSoldOut(selectedPrize)) {
+      return { prize: selectedPrize, fallbackFrom: null };
+    }
+
+    // Out of stock, fallback to coupon or none
+    const fallback = prizes.find((p) => p.id === campaign.fallbackPrizeId);
+    return {
+      prize: fallback && !isSoldOut(fallback) ? fallback : prizes[0],
+      fallbackFrom: selectedPrize,
+    };
+  };
+
+  // --- Prize Simulation ---
+  // 以蒙地卡羅模擬活動期間的刮刮樂發獎，供上線前估算獎項數量與成本
+  // 每天各分店的登錄數以 Poisson 分布抽樣（平均值為 entriesPerDay[分店]），
+  // 每筆登錄以 drawPrize 抽獎，已發數量在同一次模擬內累計（同 stats/prize_counts 判斷庫存）
+  //   entriesPerDay：{ [分店]: 每天平均登錄數 }；days：活動天數；runs：模擬次數
+  // 回傳各次模擬的平均值：
+  //   entries：總登錄數；fallbacks：因庫存不足改發的次數；fallbackRate：改發次數 / 總登錄數
+  //   prizes：[{ id, name, count（平均發出數量）, soldOutRate（發完的機率）,
+  //             soldOutDay（發完當天的中位數，0 起算；多數模擬未發完時為 null）}]
+  const samplePoisson = (mean, random) => {
+    if (!(mean > 0)) return 0;
+    if (mean > 30) {
+      // 平均值大時以常態分布近似（Box-Muller）
+      const z =
+        Math.sqrt(-2 * Math.log(1 - random())) *
+        Math.cos(2 * Math.PI * random());
+      return Math.max(0, Math.round(mean + Math.sqrt(mean) * z));
+    }
+    const limit = Math.exp(-mean);
+    let n = 0;
+    for (let p = random(); p > limit; p *= random()) n++;
+    return n;
+  };
+
+  // 分段執行的模擬：step(maxEntries) 處理到模擬完成或已處理 maxEntries 筆登錄為止（以天為單位），
+  // 回傳是否已完成；progress() 為已完成的比例（0～1），result() 回傳格式同 simulatePrizes
+  const createPrizeSimulation = (
+    campaign,
+    { entriesPerDay, days, runs, random = Math.random },
+  ) => {
+    const { prizes } = campaign;
+    const means = Object.values(entriesPerDay).map((n) => Number(n) || 0);
+    const totals = Object.fromEntries(prizes.map((p) => [p.id, 0]));
+    const soldOutDays = Object.fromEntries(prizes.map((p) => [p.id, []]));
+    let entries = 0;
+    let fallbacks = 0;
+    let run = 0;
+    let day = 0;
+    let counts = {};
+
+    const step = (maxEntries = Infinity) => {
+      let processed = 0;
+      while (run < runs && processed < maxEntries) {
+        means.forEach((mean) => {
+          const n = samplePoisson(mean, random);
+          for (let i = 0; i < n; i++) {
+            const { prize, fallbackFrom } = drawPrize(
+              campaign,
+              counts,
+              random(),
+            );
+            counts[prize.id] = (counts[prize.id] || 0) + 1;
+            if (fallbackFrom) fallbacks++;
+          }
+          entries += n;
+          processed += n;
+        });
+        prizes.forEach((p) => {
+          const soldOut = p.limit !== -1 && (counts[p.id] || 0) >= p.limit;
+          const recorded = soldOutDays[p.id];
+          if (soldOut && recorded.length === run) recorded.push(day);
+        });
+        day++;
+        if (day === days) {
+          prizes.forEach((p) => {
+            totals[p.id] += counts[p.id] || 0;
+          });
+          counts = {};
+          day = 0;
+          run++;
+        }
+      }
+      return run >= runs;
+    };
+
+    const progress = () => (runs ? (run * days + day) / (runs * days) : 1);
+
+    const result = () => ({
+      runs,
+      days,
+      entries: entries / runs,
+      fallbacks: fallbacks / runs,
+      fallbackRate: entries ? fallbacks / entries : 0,
+      prizes: prizes.map((p) => {
+        const soldOut = [...soldOutDays[p.id]].sort((a, b) => a - b);
+        return {
+          id: p.id,
+          name: p.name,
+          count: totals[p.id] / runs,
+          soldOutRate: soldOut.length / runs,
+          soldOutDay:
+            soldOut.length * 2 > runs ? soldOut[Math.floor(runs / 2)] : null,
+        };
+      }),
+    });
+
+    return { step, progress, result };
+  };
+
+  const simulatePrizes = (campaign, options) => {
+    const simulation = createPrizeSimulation(campaign, options);
+    simulation.step();
+    return simulation.result();
+  };
+
+  // --- Verifiable Grand Draw ---
+  // 公開演算法，任何人都能以匯出的名單與公開的種子離線重跑：
+  // 1. 參加名單 = 所有大獎序號去重後依字串排序，entrantsHash = SHA-256(序號以 "\n" 串接)
+  // 2. 抽獎前公開 seedHash = SHA-256(seed)，同時指定一個公開當下尚未產生的 drand 回合 beaconRound
+  //    （League of Entropy quicknet 公開亂數），全部抽完後公開 seed
+  // 3. 該回合產生後記錄其 randomness；產生種子時還不知道這個亂數，營運者無法反覆產生種子挑選結果
+  // 4. 第 n 次抽獎（n 從 0 起算，未到場重抽也算一次）：h = SHA-256(`${seed}:${randomness}:${n}`)，
+  //    取 h 前 12 個十六進位字元（48 bits）為整數 r，
+  //    從尚未被抽出過的序號（維持排序）中取第 r % 剩餘數量 個
+  const GRAND_DRAW_ALGORITHM = "sha256-commit-reveal-drand-v2";
+
+  // drand quicknet：每 3 秒產生一回合，第 r 回合於 genesisTime + (r - 1) * period 秒產生
+  const GRAND_DRAW_BEACON = {
+    url: "https://api.drand.sh",
+    chainHash:
+      "52db9ba70e0cc0f6eaf7803dd07447a1f5477735fd3f661792ba94600c84e971",
+    genesisTime: 1692803367,
+    period: 3,
+  };
+
+  // 第 round 回合的產生時間（毫秒）
+  const getBeaconTime = (round) =>
+    (GRAND_DRAW_BEACON.genesisTime + (round - 1) * GRAND_DRAW_BEACON.period) *
+    1000;
+
+  // 在 timeMs 之後才會產生的第一個回合
+  const getBeaconRound = (timeMs) =>
+    Math.floor(
+      (timeMs / 1000 - GRAND_DRAW_BEACON.genesisTime) /
+        GRAND_DRAW_BEACON.period,
+    ) + 2;
+
+  // 向 drand 取得第 round 回合的 randomness（十六進位）；回合尚未產生時 drand 回傳錯誤
+  const fetchBeaconRandomness = async (round) => {
+    const { url, chainHash } = GRAND_DRAW_BEACON;
+    const res = await globalThis.fetch(`${url}/${chainHash}/public/${round}`);
+    if (!res.ok) {
+      throw new Error(
+        `無法取得 drand 第 ${round} 回合亂數（HTTP ${res.status}）`,
+      );
+    }
+    const data = await res.json();
+    if (data.round !== round || !/^[0-9a-f]{64}$/.test(data.randomness)) {
+      throw new Error(`drand 第 ${round} 回合的回應格式錯誤`);
+    }
+    return data.randomness;
+  };
+
+  const sha256Hex = async (text) => {
+    const buf = await globalThis.crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(text),
+    );
+    return Array.from(new Uint8Array(buf))
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  };
+
+  // 產生 256 bits 的隨機種子（十六進位字串）
+  const generateDrawSeed = () => {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes)
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  };
+
+  // 從訂單整理出固定順序的參加序號名單
+  const getGrandDrawSerials = (entrants) =>
+    [...new Set(entrants.map((e) => e.grandDrawSerial).filter(Boolean))].sort();
+
+  const hashSerials = (serials) => sha256Hex(serials.join("\n"));
+
+  // 第 drawIndex 次抽獎的結果；wonSerials 為之前所有已抽出的序號（含未到場者），
+  // 確保同一序號不會中獎兩次。沒有可抽的序號時回傳 null
+  const pickGrandSerial = async (
+    seed,
+    beaconRandomness,
+    drawIndex,
+    serials,
+    wonSerials,
+  ) => {
+    const pool = serials.filter((s) => !wonSerials.includes(s));
+    if (pool.length === 0) return null;
+    const h = await sha256Hex(`${seed}:${beaconRandomness}:${drawIndex}`);
+    return pool[parseInt(h.slice(0, 12), 16) % pool.length];
+  };
+
+  // 依種子、drand 亂數與名單重跑前 drawCount 次抽獎，回傳依序抽出的序號
+  const replayGrandDraw = async (
+    seed,
+    beaconRandomness,
+    serials,
+    drawCount,
+  ) => {
+    const drawn = [];
+    for (let n = 0; n < drawCount; n++) {
+      const serial = await pickGrandSerial(
+        seed,
+        beaconRandomness,
+        n,
+        serials,
+        drawn,
+      );
+      if (!serial) break;
+      drawn.push(serial);
+    }
+    return drawn;
+  };
+
+  // --- Grand Draw Serial ---
+  // 序號 = 6 位隨機數字 + 1 位 Damm 檢查碼，可偵測任一位數唸錯/打錯及相鄰兩位對調
+  const DAMM_TABLE = [
+    [0, 3, 1, 7, 5, 9, 8, 6, 4, 2],
+    [7, 0, 9, 2, 1, 5, 4, 8, 6, 3],
+    [4, 2, 0, 6, 8, 7, 1, 3, 5, 9],
+    [1, 7, 5, 0, 9, 8, 3, 4, 2, 6],
+    [6, 1, 2, 3, 0, 4, 5, 9, 7, 8],
+    [3, 6, 7, 4, 2, 0, 9, 5, 8, 1],
+    [5, 8, 6, 9, 7, 2, 0, 1, 3, 4],
+    [8, 9, 4, 5, 3, 6, 2, 0, 1, 7],
+    [9, 4, 3, 8, 6, 1, 7, 2, 0, 5],
+    [2, 5, 8, 1, 4, 3, 6, 7, 9, 0],
+  ];
+  const SERIAL_REGEX = /^\d{7}$/;
+
+  const dammDigit = (digits) =>
+    [...digits].reduce((interim, d) => DAMM_TABLE[interim][Number(d)], 0);
+
+  // 產生候選序號；唯一性由後端以 serials/{serial} 登記文件保證
+  const generateSerial = () => {
+    const body = Math.floor(100000 + Math.random() * 900000).toString();
+    return body + dammDigit(body);
+  };
+
+  // 檢查序號格式與檢查碼
+  const isValidSerial = (serial) =>
+    SERIAL_REGEX.test(serial || "") && dammDigit(serial) === 0;
+
+  // --- Coupon Code ---
+  // 中獎兌換碼 = 7 碼隨機字元 + 1 碼 Luhn mod 32 檢查碼，
+  // 字元表排除易混淆的 0/O、1/I，可偵測任一碼打錯及大部分相鄰兩碼對調
+  const COUPON_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const COUPON_REGEX = /^[A-HJ-NP-Z2-9]{8}$/;
+
+  const luhnSum = (chars, startFactor) => {
+    const n = COUPON_ALPHABET.length;
+    let factor = startFactor;
+    let sum = 0;
+    for (let i = chars.length - 1; i >= 0; i--) {
+      const addend = factor * COUPON_ALPHABET.indexOf(chars[i]);
+      sum += Math.floor(addend / n) + (addend % n);
+      factor = factor === 2 ? 1 : 2;
+    }
+    return sum % COUPON_ALPHABET.length;
+  };
+
+  // 256 可被 32 整除，取餘數不會偏向特定字元
+  const randomCouponChars = (length) =>
+    Array.from(globalThis.crypto.getRandomValues(new Uint8Array(length)))
+      .map((b) => COUPON_ALPHABET[b % COUPON_ALPHABET.length])
+      .join("");
+
+  // 產生候選兌換碼；唯一性由後端以 coupons/{code} 文件保證
+  const generateCouponCode = () => {
+    const body = randomCouponChars(7);
+    const n = COUPON_ALPHABET.length;
+    return body + COUPON_ALPHABET[(n - luhnSum(body, 2)) % n];
+  };
+
+  // 登錄紀錄查詢碼：登錄完成時顯示給客人，查詢時與手機號碼一起輸入（同一支手機內不需唯一）
+  const generateLookupCode = () => randomCouponChars(6);
+
+  // 櫃台輸入時忽略大小寫、空白與連字號
+  const normalizeCouponCode = (code) =>
+    String(code || "")
+      .toUpperCase()
+      .replace(/[\s-]/g, "");
+
+  const isValidCouponCode = (code) =>
+    COUPON_REGEX.test(code || "") && luhnSum(code, 1) === 0;
+
+  // 顯示用：ABCD-EFGH
+  const formatCouponCode = (code) =>
+    code ? `${code.slice(0, 4)}-${code.slice(4)}` : "";
+
+  // 兌換期限：發出當天（台灣時間）起算 validDays 天的 23:59:59，
+  // 若獎項設定 expiresOn 則不晚於該日 23:59:59；回傳 Date
+  const TW_OFFSET_MS = 8 * 60 * 60 * 1000;
+  const getCouponExpiry = (campaign, prize, issuedAt = new Date()) => {
+    const validDays = prize.validDays ?? campaign.couponValidDays;
+    const issuedDate = new Date(issuedAt.getTime() + TW_OFFSET_MS);
+    issuedDate.setUTCDate(issuedDate.getUTCDate() + validDays);
+    const expiry = Date.parse(
+      `${issuedDate.toISOString().slice(0, 10)}T23:59:59+08:00`,
+    );
+    const cap = prize.expiresOn
+      ? Date.parse(`${prize.expiresOn}T23:59:59+08:00`)
+      : Infinity;
+    return new Date(Math.min(expiry, cap));
+  };
+
+  // Firestore Timestamp、Date 或毫秒數轉為毫秒
+  const toMillis = (t) =>
+    t?.toMillis?.() ??
+    (t?.seconds != null ? t.seconds * 1000 : new Date(t).getTime());
+
+  // 兌換狀態：redeemed（已兌換）、expired（已過期）、issued（未兌換）
+  const getCouponStatus = (coupon, now = Date.now()) => {
+    if (!coupon) return null;
+    if (coupon.status === "redeemed") return "redeemed";
+    return toMillis(coupon.expiresAt) < now ? "expired" : "issued";
+  };
+
+  // 櫃台兌換前檢查（對應 firestore.rules 的 coupons 更新規則），
+  // 不可兌換時回傳錯誤訊息，否則回傳 null
+  const getCouponRedeemError = (coupon, branch, now = Date.now()) => {
+    const status = getCouponStatus(coupon, now);
+    if (status === "redeemed") {
+      return `此兌換碼已於 ${new Date(
+        toMillis(coupon.redeemedAt),
+      ).toLocaleString("zh-TW")} 在${coupon.redeemedBranch}兌換，不可重複兌換`;
+    }
+    if (status === "expired") {
+      return `此兌換碼已於 ${new Date(
+        toMillis(coupon.expiresAt),
+      ).toLocaleString("zh-TW")} 過期`;
+    }
+    if (coupon.sameBranchOnly && branch && branch !== coupon.branch) {
+      return `此獎項限${coupon.branch}兌換`;
+    }
+    return null;
+  };
+
+  const COUPON_STATUS_LABELS = {
+    issued: "未兌換",
+    redeemed: "已兌換",
+    expired: "已過期",
+  };
+
+  // 檢查登錄資料，有問題時回傳錯誤訊息，否則回傳 null
+  const validateEntry = (campaign, data) => {
+    if (!data || !PHONE_REGEX.test(data.phone || "")) {
+      return "請輸入有效的手機號碼 (格式: 09xxxxxxxx)";
+    }
+    const { min, max } = campaign.dateRange;
+    if (
+      !DATE_REGEX.test(data.date || "") ||
+      data.date < min ||
+      data.date > max
+    ) {
+      return "日期不在活動期間內";
+    }
+    if (!getBranchRooms(campaign, data.branch).includes(data.room)) {
+      return "請選擇正確的分店與包廂";
+    }
+    if (!campaign.durations.some((d) => d.val === data.duration)) {
+      return "請選擇正確的時長";
+    }
+    return null;
+  };
+
+  // 後台角色：owner 管理全部分店與活動設定、manager 處理所屬分店發獎、viewer 僅能查看所屬分店
+  // 對應 firestore.rules 中 staff/{uid} 的 role 與 branches 欄位
+  const STAFF_ROLES = {
+    owner: "老闆（全部分店）",
+    manager: "分店店長",
+    viewer: "唯讀人員",
+  };
+
+  // 工作人員可查看的分店；owner 為活動設定中的全部分店
+  const getStaffBranches = (staff, campaign) => {
+    if (!staff) return [];
+    if (staff.role === "owner") return campaign.branches.map((b) => b.name);
+    return Array.isArray(staff.branches) ? staff.branches : [];
+  };
+
+  // 是否可修改該分店訂單的發獎狀態與備註
+  const canEditBranch = (staff, branch) => {
+    if (!staff) return false;
+    if (staff.role === "owner") return true;
+    return (
+      staff.role === "manager" &&
+      Array.isArray(staff.branches) &&
+      staff.branches.includes(branch)
+    );
+  };
+
+  // --- Entry Functions ---
+  // submitEntry / markRevealed / lookupEntries 的流程，Cloud Functions 與 storage.js 的 local 後端共用
+  // store：資料存取介面，路徑皆相對於 artifacts/{appId}/public/data
+  //   getDoc(path)                  文件資料，不存在時為 null
+  //   query(collection, query)      [{ id, ...data }]；query 為 { where: [[field, op, value], ...], limit }
+  //   runTransaction(fn)            fn(tx)：tx.get(path)、tx.query(collection, query)、tx.set(path, data, options)、tx.update(path, data)
+  //   newId(collection)             產生新文件 ID
+  //   serverTimestamp()             寫入時由後端填入的時間
+  //   error(code, message)          建立要丟給呼叫端的錯誤（HttpsError 或本機的 functions/ 錯誤）
+
+  const CLIENT_REQUEST_ID_REGEX = /^[\w-]{8,64}$/;
+  const RESERVE_ATTEMPTS = 10;
+
+  const toIsoString = (t) => (t ? new Date(toMillis(t)).toISOString() : null);
+
+  // 讀取並驗證活動設定（config/campaign）
+  const loadCampaign = async (store) => {
+    const campaign = mergeCampaign(await store.getDoc("config/campaign"));
+    const errors = validateCampaign(campaign);
+    if (errors.length > 0) {
+      console.error("Invalid campaign config:", errors);
+      throw store.error("failed-precondition", "活動設定錯誤，請聯繫客服");
+    }
+    return campaign;
+  };
+
+  // 在 transaction 內找出尚未使用的文件 ID（序號、兌換碼），只讀取，登記文件由呼叫端寫入
+  const reserveId = async (store, tx, collection, generate, message) => {
+    for (let i = 0; i < RESERVE_ATTEMPTS; i++) {
+      const candidate = generate();
+      if (!(await tx.get(`${collection}/${candidate}`))) return candidate;
+    }
+    throw store.error("resource-exhausted", message);
+  };
+
+  // 登錄訂單：重複檢查、抽獎、限量計數、序號發放與訂單寫入全部在同一個 transaction 內完成
+  // data 為前端送出的表單資料，回傳 { orderId, lookupCode, prize, serial, coupon }
+  // clientRequestId：前端為每次登錄產生的識別碼，離線佇列重送時用來辨識同一筆登錄
+  // options.notify 為 false 時不排入中獎通知（local 後端沒有發送通知的排程）
+  const submitEntry = async (
+    store,
+    data,
+    { userId = null, notify = true } = {},
+  ) => {
+    const { phone, date, branch, room, duration } = data || {};
+    const entry = { phone, date, branch, room, duration: parseInt(duration) };
+    const clientRequestId = CLIENT_REQUEST_ID_REGEX.test(
+      data?.clientRequestId || "",
+    )
+      ? data.clientRequestId
+      : null;
+
+    const campaign = await loadCampaign(store);
+    const status = getCampaignStatus(campaign);
+    if (status !== "open") {
+      throw store.error(
+        "failed-precondition",
+        status === "upcoming" ? "活動尚未開始" : "活動已結束",
+      );
+    }
+    const invalid = validateEntry(campaign, entry);
+    if (invalid) throw store.error("invalid-argument", invalid);
+
+    const orderId = store.newId("orders");
+    const lookupCode = generateLookupCode();
+
+    const order = await store.runTransaction(async (tx) => {
+      // 1. 同一手機同一天只能登錄一次
+      const [dup] = await tx.query("orders", {
+        where: [
+          ["phone", "==", entry.phone],
+          ["date", "==", entry.date],
+        ],
+        limit: 1,
+      });
+      if (dup) {
+        // 同一筆登錄重送（前一次已寫入但回應未送達）時回傳原本的結果
+        if (clientRequestId && dup.clientRequestId === clientRequestId) {
+          return dup;
+        }
+        throw store.error(
+          "already-exists",
+          "此手機號碼今日已參加過抽獎，同一筆訂單不得重複參加！",
+        );
+      }
+
+      // 2. 依限量計數抽獎
+      const counts = (await tx.get("stats/prize_counts")) || {};
+      const { prize, fallbackFrom } = drawPrize(campaign, counts);
+
+      // 3. 大獎序號與中獎兌換碼
+      const isGrandEligible = entry.duration >= campaign.grandMinDuration;
+      const serial = isGrandEligible
+        ? await reserveId(
+            store,
+            tx,
+            "serials",
+            generateSerial,
+            "序號發放失敗，請稍後再試",
+          )
+        : null;
+      const couponCode =
+        prize.type === "win"
+          ? await reserveId(
+              store,
+              tx,
+              "coupons",
+              generateCouponCode,
+              "兌換碼發放失敗，請稍後再試",
+            )
+          : null;
+      const couponExpiresAt = couponCode
+        ? getCouponExpiry(campaign, prize)
+        : null;
+
+      // transaction 內所有讀取完成後才能寫入；計數已在同一個 transaction 讀取，直接寫入加 1 後的值
+      if (prize.limit !== -1) {
+        tx.set(
+          "stats/prize_counts",
+          { [prize.id]: (counts[prize.id] || 0) + 1 },
+          { merge: true },
+        );
+      }
+      if (serial) {
+        tx.set(`serials/${serial}`, {
+          orderId,
+          createdAt: store.serverTimestamp(),
+        });
+      }
+      if (couponCode) {
+        // 兌換狀態與 prizeSent（是否已發送通知）分開記錄，由櫃台兌換時更新
+        tx.set(`coupons/${couponCode}`, {
+          orderId,
+          prizeId: prize.id,
+          prizeName: prize.name,
+          branch: entry.branch,
+          phone: entry.phone,
+          issuedAt: store.serverTimestamp(),
+          expiresAt: couponExpiresAt,
+          // 限原分店兌換的獎項，櫃台只能在登錄分店兌換
+          sameBranchOnly: !!prize.sameBranchOnly,
+          status: "issued",
+        });
+      }
+      const queueNotify = notify && prize.type === "win";
+      if (queueNotify) {
+        // 中獎通知排入佇列，由 sendNotification / retryNotifications 發送；
+        // 訊息於登錄當下依範本產生，之後修改範本不影響已排入的通知
+        tx.set(`notify_queue/${orderId}`, {
+          orderId,
+          branch: entry.branch,
+          phone: entry.phone,
+          message: renderNotifyTemplate(getNotifyTemplate(campaign, prize), {
+            prizeName: prize.name,
+            couponCode: formatCouponCode(couponCode),
+            expiresAt: couponExpiresAt?.toLocaleDateString("zh-TW", {
+              timeZone: "Asia/Taipei",
+            }),
+            branch: entry.branch,
+            serial: serial || "",
+          }),
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: store.serverTimestamp(),
+          createdAt: store.serverTimestamp(),
+        });
+      }
+      const created = {
+        ...entry,
+        phoneLast4: entry.phone.slice(-4), // 後台以末 4 碼搜尋
+        lookupCode, // 客人查詢登錄紀錄用
+        clientRequestId,
+        userId,
+        isGrandEligible,
+        grandDrawSerial: serial,
+        scratchPrizeId: prize.id,
+        scratchPrizeName: prize.name,
+        scratchPrizeType: prize.type,
+        // 庫存不足改發時記錄原抽中的獎項，供後台查看
+        fallbackFromPrizeId: fallbackFrom?.id || null,
+        fallbackFromPrizeName: fallbackFrom?.name || null,
+        prizeSent: false,
+        couponCode,
+        couponExpiresAt,
+        couponStatus: couponCode ? "issued" : null,
+        // 中獎通知狀態：queued（排程中）、retrying（重試中）、sent（已發送）、failed（放棄重試）
+        notifyStatus: queueNotify ? "queued" : null,
+        timestamp: store.serverTimestamp(),
+      };
+      tx.set(`orders/${orderId}`, created);
+      return { id: orderId, ...created };
+    });
+
+    return {
+      orderId: order.id,
+      lookupCode: order.lookupCode,
+      prize: {
+        id: order.scratchPrizeId,
+        name: order.scratchPrizeName,
+        type: order.scratchPrizeType,
+      },
+      serial: order.grandDrawSerial,
+      coupon: order.couponCode
+        ? {
+            code: order.couponCode,
+            expiresAt: toIsoString(order.couponExpiresAt),
+          }
+        : null,
+    };
+  };
+
+  // 客人刮開刮刮樂後記錄 revealedAt（只寫第一次），以登錄時發給客人的查詢碼驗證
+  const markRevealed = async (store, { orderId, lookupCode } = {}) => {
+    if (
+      typeof orderId !== "string" ||
+      !orderId ||
+      orderId.includes("/") ||
+      !lookupCode
+    ) {
+      throw store.error("invalid-argument", "資料格式錯誤");
+    }
+    return store.runTransaction(async (tx) => {
+      const order = await tx.get(`orders/${orderId}`);
+      if (!order || order.lookupCode !== lookupCode) {
+        throw store.error("not-found", "查無此筆登錄");
+      }
+      if (!order.revealedAt) {
+        tx.update(`orders/${orderId}`, {
+          revealedAt: store.serverTimestamp(),
+        });
+      }
+      return { ok: true };
+    });
+  };
+
+  // 以手機號碼 + 查詢碼（或訂單編號）查詢該手機的全部登錄紀錄
+  // 回傳 { entries }，查無資料時不透露手機號碼是否曾經登錄
+  // options.consumeRateLimit：查詢前計入次數，回傳 false 時拒絕查詢
+  const lookupEntries = async (
+    store,
+    { phone, code } = {},
+    { consumeRateLimit } = {},
+  ) => {
+    if (!PHONE_REGEX.test(phone || "")) {
+      throw store.error(
+        "invalid-argument",
+        "請輸入有效的手機號碼 (格式: 09xxxxxxxx)",
+      );
+    }
+    const input = String(code || "").trim();
+    if (!input) {
+      throw store.error("invalid-argument", "請輸入查詢碼或訂單編號");
+    }
+    if (consumeRateLimit && !(await consumeRateLimit(phone))) {
+      throw store.error("resource-exhausted", "查詢次數過多，請稍後再試");
+    }
+
+    const orders = await store.query("orders", {
+      where: [["phone", "==", phone]],
+    });
+    // 訂單編號區分大小寫；結果頁只顯示前 8 碼，因此也接受前 8 碼
+    const lookupCode = normalizeCouponCode(input);
+    const verified = orders.some(
+      (o) =>
+        o.id === input ||
+        (input.length >= 8 && o.id.startsWith(input)) ||
+        (o.lookupCode && o.lookupCode === lookupCode),
+    );
+    if (!verified) {
+      throw store.error("not-found", "查無資料，請確認手機號碼與查詢碼");
+    }
+
+    const entries = orders
+      .map((o) => ({
+        orderId: o.id.slice(0, 8),
+        createdAt: toIsoString(o.timestamp),
+        date: o.date,
+        branch: o.branch,
+        room: o.room,
+        duration: o.duration,
+        prizeName: o.scratchPrizeName,
+        prizeType: o.scratchPrizeType,
+        prizeSent: !!o.prizeSent,
+        couponCode: o.couponCode || null,
+        couponExpiresAt: toIsoString(o.couponExpiresAt),
+        couponStatus: o.couponCode
+          ? getCouponStatus({
+              status: o.couponStatus,
+              expiresAt: o.couponExpiresAt,
+            })
+          : null,
+        grandDrawSerial: o.grandDrawSerial || null,
+      }))
+      .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+    return { entries };
+  };
+
+  return {
+    DEFAULT_CAMPAIGN,
+    PHONE_REGEX,
+    mergeCampaign,
+    validateCampaign,
+    getCampaignStatus,
+    getBranchRooms,
+    drawPrize,
+    createPrizeSimulation,
+    simulatePrizes,
+    GRAND_DRAW_ALGORITHM,
+    GRAND_DRAW_BEACON,
+    getBeaconTime,
+    getBeaconRound,
+    fetchBeaconRandomness,
+    sha256Hex,
+    generateDrawSeed,
+    getGrandDrawSerials,
+    hashSerials,
+    pickGrandSerial,
+    replayGrandDraw,
+    generateSerial,
+    isValidSerial,
+    NOTIFY_TEMPLATE_FIELDS,
+    getNotifyTemplate,
+    renderNotifyTemplate,
+    generateCouponCode,
+    generateLookupCode,
+    normalizeCouponCode,
+    isValidCouponCode,
+    formatCouponCode,
+    getCouponExpiry,
+    getCouponStatus,
+    getCouponRedeemError,
+    COUPON_STATUS_LABELS,
+    validateEntry,
+    STAFF_ROLES,
+    getStaffBranches,
+    canEditBranch,
+    submitEntry,
+    markRevealed,
+    lookupEntries,
+  };
+});
@@ -0,0 +1,103 @@
+// 中獎通知發送管道：provider 介面與各家實作
+// 每個 provider 提供 send({ phone, message })，成功回傳 { messageId }，失敗時 throw
+// 以環境變數 NOTIFY_PROVIDER 選擇（sms / line / mock），未設定時只有在 Functions emulator 中使用 mock；
+// 部署時可寫在 functions/.env，金鑰類設定請放 functions/.env.local 或 Secret Manager
+const { createHash } = require("crypto");
+
+// 台灣手機號碼轉 E.164：0912345678 → +886912345678
+const toE164 = (phone) => `+886${phone.slice(1)}`;
+
+// 三竹簡訊 (Mitake) HTTP API
+//   SMS_API_URL（預設 https://smsapi.mitake.com.tw/api/mtk/SmSend）、SMS_USERNAME、SMS_PASSWORD
+const createSmsProvider = (env) => ({
+  name: "sms",
+  send: async ({ phone, message }) => {
+    if (!env.SMS_USERNAME || !env.SMS_PASSWORD) {
+      throw new Error("未設定 SMS_USERNAME / SMS_PASSWORD");
+    }
+    const url =
+      env.SMS_API_URL || "https://smsapi.mitake.com.tw/api/mtk/SmSend";
+    const res = await fetch(`${url}?CharsetURL=UTF-8`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        username: env.SMS_USERNAME,
+        password: env.SMS_PASSWORD,
+        dstaddr: phone,
+        smbody: message,
+      }),
+    });
+    const text = await res.text();
+    if (!res.ok) throw new Error(`簡訊閘道 HTTP ${res.status}`);
+    // 回應為 key=value 多行文字，statuscode 0~4 表示已受理
+    const fields = Object.fromEntries(
+      text
+        .split(/\r?\n/)
+        .map((line) => line.split("="))
+        .filter((pair) => pair.length === 2),
+    );
+    if (!/^[0-4]$/.test(fields.statuscode || "")) {
+      throw new Error(
+        `簡訊閘道拒絕：statuscode=${fields.statuscode || "?"} ${fields.Error || ""}`.trim(),
+      );
+    }
+    return { messageId: fields.msgid || null };
+  },
+});
+
+// LINE 通知型訊息（以手機號碼發送，不需先加好友）
+//   LINE_CHANNEL_TOKEN：Messaging API channel access token
+const createLineProvider = (env) => ({
+  name: "line",
+  send: async ({ phone, message }) => {
+    if (!env.LINE_CHANNEL_TOKEN) {
+      throw new Error("未設定 LINE_CHANNEL_TOKEN");
+    }
+    const res = await fetch("https://api.line.me/bot/pnp/push", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${env.LINE_CHANNEL_TOKEN}`,
+      },
+      body: JSON.stringify({
+        // LINE 以 E.164 手機號碼的 SHA-256 比對用戶
+        to: createHash("sha256").update(toE164(phone)).digest("hex"),
+        messages: [{ type: "text", text: message }],
+      }),
+    });
+    if (!res.ok) {
+      throw new Error(`LINE API HTTP ${res.status}：${await res.text()}`);
+    }
+    return { messageId: res.headers.get("x-line-request-id") };
+  },
+});
+
+// 本機測試用：只印出訊息不實際發送
+//   NOTIFY_MOCK_FAIL_RATE：0~1，模擬發送失敗的機率（測試重試用）
+const createMockProvider = (env) => ({
+  name: "mock",
+  send: async ({ phone, message }) => {
+    if (Math.random() < Number(env.NOTIFY_MOCK_FAIL_RATE || 0)) {
+      throw new Error("模擬發送失敗");
+    }
+    console.log(`[mock notify] ${phone}：${message}`);
+    return { messageId: `mock-${Date.now().toString(36)}` };
+  },
+});
+
+const PROVIDERS = {
+  sms: createSmsProvider,
+  line: createLineProvider,
+  mock: createMockProvider,
+};
+
+// 正式環境漏設 NOTIFY_PROVIDER 時丟出設定錯誤，通知留在重試/失敗，不會被當成已發送
+const createProvider = (env = process.env) => {
+  const name =
+    env.NOTIFY_PROVIDER || (env.FUNCTIONS_EMULATOR === "true" ? "mock" : "");
+  if (!name) throw new Error("未設定通知管道（NOTIFY_PROVIDER）");
+  if (!PROVIDERS[name]) throw new Error(`不支援的通知管道：${name}`);
+  return PROVIDERS[name](env);
+};
+
+module.exports = { PROVIDERS, createProvider };
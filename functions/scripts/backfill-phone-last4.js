@@ -0,0 +1,41 @@
+// 為既有訂單補上 phoneLast4 欄位（後台以電話末 4 碼搜尋時使用）
+// 用法：node scripts/backfill-phone-last4.js [appId]
+// 模擬器測試時設定 FIRESTORE_EMULATOR_HOST=127.0.0.1:8080
+const { initializeApp } = require("firebase-admin/app");
+const { getFirestore } = require("firebase-admin/firestore");
+
+const BATCH_SIZE = 400; // Firestore 單一批次上限 500 筆
+
+const main = async () => {
+  const appId = process.argv[2] || "default-mahjong-app";
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || "yermonew" });
+  const db = getFirestore();
+  const ordersRef = db.collection(`artifacts/${appId}/public/data/orders`);
+
+  let updated = 0;
+  let last = null;
+  for (;;) {
+    let query = ordersRef.orderBy("__name__").limit(BATCH_SIZE);
+    if (last) query = query.startAfter(last);
+    const snap = await query.get();
+    if (snap.empty) break;
+
+    const batch = db.batch();
+    snap.docs.forEach((d) => {
+      const { phone, phoneLast4 } = d.data();
+      if (phone && phoneLast4 !== phone.slice(-4)) {
+        batch.update(d.ref, { phoneLast4: phone.slice(-4) });
+        updated++;
+      }
+    });
+    await batch.commit();
+    last = snap.docs[snap.docs.length - 1];
+  }
+
+  console.log(`✅ 已更新 ${updated} 筆訂單`);
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+// 建立後台工作人員帳號（Firebase Auth Email/密碼 + staff/{uid} 文件）
+// 用法：node scripts/create-staff.js <email> <password> <role> [分店,分店] [name]
+//   role：owner（全部分店）、manager（所屬分店可發獎）、viewer（所屬分店唯讀）
+//   appId 預設 default-mahjong-app，可用環境變數 APP_ID 指定
+// 本機測試：先執行 npm run serve，再設定
+//   FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 FIRESTORE_EMULATOR_HOST=127.0.0.1:8080
+// 即可在模擬器建立帳號；未設定時寫入 .firebaserc 的正式專案
+const { initializeApp } = require("firebase-admin/app");
+const { getAuth } = require("firebase-admin/auth");
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { STAFF_ROLES } = require("../lottery-core");
+
+const main = async () => {
+  const [email, password, role, branchList = "", name = ""] =
+    process.argv.slice(2);
+  const appId = process.env.APP_ID || "default-mahjong-app";
+  if (!email || !password || !STAFF_ROLES[role]) {
+    console.error(
+      "用法：node scripts/create-staff.js <email> <password> <owner|manager|viewer> [分店,分店] [name]",
+    );
+    process.exit(1);
+  }
+  const branches = branchList
+    .split(",")
+    .map((b) => b.trim())
+    .filter(Boolean);
+  if (role !== "owner" && branches.length === 0) {
+    console.error("manager / viewer 需指定至少一間分店");
+    process.exit(1);
+  }
+
+  initializeApp({ projectId: process.env.GCLOUD_PROJECT || "yermonew" });
+  const auth = getAuth();
+
+  let user;
+  try {
+    user = await auth.getUserByEmail(email);
+    await auth.updateUser(user.uid, { password });
+    console.log(`帳號已存在，已更新密碼：${email}`);
+  } catch (err) {
+    if (err.code !== "auth/user-not-found") throw err;
+    user = await auth.createUser({ email, password, displayName: name });
+    console.log(`已建立帳號：${email}`);
+  }
+
+  await getFirestore()
+    .doc(`artifacts/${appId}/public/data/staff/${user.uid}`)
+    .set(
+      {
+        email,
+        name: name || email,
+        role,
+        branches: role === "owner" ? [] : branches,
+        createdAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+  console.log(
+    `✅ 已開通後台權限 uid=${user.uid} ${STAFF_ROLES[role]}${
+      branches.length ? `（${branches.join("、")}）` : ""
+    }`,
+  );
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,91 @@
+// 離線驗證直播大獎抽獎結果
+// 用法：node scripts/verify-grand-draw.js grand-draw-<appId>.json
+// 檔案由後台「直播開獎」頁匯出，需在公開種子後匯出才能重跑抽獎；drand 亂數會另外向 drand 核對（需連網）
+const fs = require("fs");
+const {
+  GRAND_DRAW_ALGORITHM,
+  getBeaconTime,
+  fetchBeaconRandomness,
+  sha256Hex,
+  hashSerials,
+  replayGrandDraw,
+} = require("../lottery-core");
+
+const main = async () => {
+  const file = process.argv[2];
+  if (!file) {
+    console.error("用法：node scripts/verify-grand-draw.js <匯出的 JSON 檔>");
+    process.exit(1);
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  let ok = true;
+  const check = (label, passed) => {
+    console.log(`${passed ? "✅" : "❌"} ${label}`);
+    if (!passed) ok = false;
+  };
+
+  check(
+    `演算法為 ${GRAND_DRAW_ALGORITHM}`,
+    data.algorithm === GRAND_DRAW_ALGORITHM,
+  );
+  check(
+    `參加名單 ${data.entrants.length} 筆符合 entrantsHash`,
+    (await hashSerials(data.entrants)) === data.entrantsHash,
+  );
+  check(
+    "參加名單已依序號排序且無重複",
+    data.entrants.every((s, i) => i === 0 || data.entrants[i - 1] < s),
+  );
+
+  check(
+    `drand 第 ${data.beaconRound} 回合在公開雜湊（${data.committedAt}）之後才產生`,
+    Number.isInteger(data.beaconRound) &&
+      getBeaconTime(data.beaconRound) > Date.parse(data.committedAt),
+  );
+  if (!data.beaconRandomness) {
+    console.log("⚠️  尚未取得 drand 亂數，無法重跑抽獎");
+    process.exit(ok ? 0 : 1);
+  }
+  try {
+    check(
+      "drand 亂數與 drand 公布的相同",
+      (await fetchBeaconRandomness(data.beaconRound)) === data.beaconRandomness,
+    );
+  } catch (err) {
+    check(`向 drand 核對亂數：${err.message}`, false);
+  }
+
+  if (!data.seed) {
+    console.log("⚠️  種子尚未公開，無法重跑抽獎");
+    process.exit(ok ? 0 : 1);
+  }
+  check(
+    "種子符合抽獎前公開的 seedHash",
+    (await sha256Hex(data.seed)) === data.seedHash,
+  );
+
+  const draws = [...data.draws].sort((a, b) => a.drawIndex - b.drawIndex);
+  const replayed = await replayGrandDraw(
+    data.seed,
+    data.beaconRandomness,
+    data.entrants,
+    draws.length,
+  );
+  draws.forEach((d, i) => {
+    check(
+      `第 ${d.drawIndex + 1} 抽 ${d.tierName}：${d.serial}${
+        d.status === "forfeited" ? "（未到場）" : ""
+      }`,
+      d.drawIndex === i && replayed[i] === d.serial,
+    );
+  });
+
+  console.log(ok ? "\n驗證通過" : "\n驗證失敗");
+  process.exit(ok ? 0 : 1);
+};
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
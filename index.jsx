@@ -1,24 +1,8 @@
 // Access React from global scope (loaded via CDN)
 const { useState, useEffect, useRef } = React;
 
-// Access Firebase modules from global scope
-const { initializeApp } = window.firebaseApp || {};
-
-// Helper function to get Firestore functions dynamically
-// 因為 Firebase 模組是異步載入的，必須在使用時動態獲取
-const getFirestoreFn = (fnName) => {
-  return window.firebaseFirestore?.[fnName];
-};
-
-// Helper function to get Firebase App functions
-const getFirebaseAppFn = (fnName) => {
-  return window.firebaseApp?.[fnName];
-};
-
-// Get Firebase Auth functions - use optional chaining to safely access
-const getAuth = window.firebaseAuth?.getAuth;
-const signInAnonymously = window.firebaseAuth?.signInAnonymously;
-const onAuthStateChanged = window.firebaseAuth?.onAuthStateChanged;
+// 資料存取層（storage.js）：Firestore、Firebase emulator 與本機（記憶體 / localStorage）三種實作
+const { createBackend, isPermissionDenied } = window.LotteryStorage;
 
 // Access Lucide React icons from global scope
 // Create fallback icon components if lucide-react is not loaded
@@ -62,7 +46,7 @@ const Search = getIcon("Search");
 const LayoutGrid = getIcon("LayoutGrid");
 
 // NoteEditor 組件：用於編輯備註
-function NoteEditor({ value, onSave }) {
+function NoteEditor({ value, onSave, readOnly = false }) {
   const [isEditing, setIsEditing] = useState(false);
   const [editValue, setEditValue] = useState(value || "");
   const inputRef = useRef(null);
@@ -126,6 +110,14 @@ function NoteEditor({ value, onSave }) {
     );
   }
 
+  if (readOnly) {
+    return (
+      <div className="min-h-[32px] px-2 py-1 text-sm text-gray-600 whitespace-pre-wrap break-words">
+        {value || <span className="text-gray-300">-</span>}
+      </div>
+    );
+  }
+
   return (
     <div
       onClick={() => setIsEditing(true)}
@@ -141,75 +133,82 @@ function NoteEditor({ value, onSave }) {
   );
 }
 
-// --- Firebase Configuration ---
-// 這裡使用您的環境變數或預設值。在實際部署時，請確保 Firebase 已啟用 Firestore 和 Anonymous Auth
-let firebaseConfig, app, db, auth, appId;
+// --- Storage Backend ---
+// index.html 的 window.__storage_backend 選擇 firestore / emulator / local；
+// 未指定時在 localhost 使用 emulator（window.__use_emulators），其他環境使用 firestore
+let backend, appId;
 
-// Initialize Firebase when modules are ready
-function initFirebase() {
-  // 動態獲取 Firebase 函數
-  const initializeApp = getFirebaseAppFn("initializeApp");
-  const getFirestore = getFirestoreFn("getFirestore");
-  const getAuth = window.firebaseAuth?.getAuth;
+const getBackendName = () =>
+  window.__storage_backend ||
+  (window.__use_emulators ? "emulator" : "firestore");
 
-  if (!initializeApp || !getFirestore) {
+// Initialize the storage backend when modules are ready
+function initStorage() {
+  const name = getBackendName();
+  // 本機模式不需要 Firebase 模組
+  if (name !== "local" && !window.firebaseApp?.initializeApp) {
     return false;
   }
 
   try {
+    appId =
+      typeof window.__app_id !== "undefined"
+        ? window.__app_id
+        : typeof __app_id !== "undefined"
+          ? __app_id
+          : "default-mahjong-app";
+
     // 從全局變數獲取配置，如果不存在則使用空對象
-    firebaseConfig =
+    let firebaseConfig =
       typeof window.__firebase_config !== "undefined"
         ? window.__firebase_config
         : typeof __firebase_config !== "undefined"
           ? __firebase_config
           : {};
-
-    // 如果配置為空對象，使用默認配置
-    if (!firebaseConfig || Object.keys(firebaseConfig).length === 0) {
+    if (name !== "local" && Object.keys(firebaseConfig || {}).length === 0) {
       console.warn("Firebase config not found, using empty config");
       firebaseConfig = {};
     }
 
-    app = initializeApp(firebaseConfig);
-    db = getFirestore(app);
-    // auth 暫時不使用，但保留代碼
-    // auth = getAuth ? getAuth(app) : null;
-    appId =
-      typeof window.__app_id !== "undefined"
-        ? window.__app_id
-        : typeof __app_id !== "undefined"
-          ? __app_id
-          : "default-mahjong-app";
+    backend = createBackend(name, {
+      appId,
+      config: firebaseConfig,
+      sdk: {
+        app: window.firebaseApp,
+        firestore: window.firebaseFirestore,
+        auth: window.firebaseAuth,
+        functions: window.firebaseFunctions,
+      },
+      storage: window.localStorage,
+    });
     return true;
   } catch (e) {
-    console.error("Firebase initialization error:", e);
+    console.error("Storage initialization error:", e);
     return false;
   }
 }
 
 // Wait for Firebase modules to load
-const initFirebaseWhenReady = () => {
-  if (window.firebaseReady && initFirebase()) {
-    // console.log('Firebase initialized successfully');
-    return true;
-  }
-  return false;
+const initStorageWhenReady = () => {
+  if (backend) return true;
+  return (
+    (window.firebaseReady || getBackendName() === "local") && initStorage()
+  );
 };
 
 // 將函數暴露到全局，讓 HTML 可以調用
-window.initFirebaseWhenReady = initFirebaseWhenReady;
+window.initStorageWhenReady = initStorageWhenReady;
 
 // Try to initialize when modules are ready
-if (!initFirebaseWhenReady()) {
-  const checkFirebase = setInterval(() => {
-    if (initFirebaseWhenReady()) {
-      clearInterval(checkFirebase);
+if (!initStorageWhenReady()) {
+  const checkStorage = setInterval(() => {
+    if (initStorageWhenReady()) {
+      clearInterval(checkStorage);
     }
   }, 100);
 
   // Stop checking after 10 seconds to avoid infinite loop
-  setTimeout(() => clearInterval(checkFirebase), 10000);
+  setTimeout(() => clearInterval(checkStorage), 10000);
 }
 
 // --- Assets & Icons ---
@@ -265,62 +264,93 @@ const MahjongIcon = ({ className, onClick }) => (
 );
 
 // --- Constants ---
-const BRANCHES = [
-  "大林店",
-  "八德店",
-  "南崁店",
-  "草漯店",
-  "楊梅店",
-  "中和中正店",
-];
-
-// 各分店對應的包廂列表
-const BRANCH_ROOMS = {
-  大林店: ["南", "西", "北", "中", "發", "白"],
-  八德店: ["梅", "蘭", "竹", "菊", "春", "夏", "秋", "冬", "轉運", "改運"],
-  南崁店: ["1條", "2條", "3條", "4條", "5條", "6條", "7條"],
-  草漯店: ["1筒", "2筒", "3筒", "4筒", "5筒", "6筒"],
-  楊梅店: ["康", "財", "福", "祿", "壽", "喜", "順", "安", "旺"],
-  中和中正店: ["壹", "貳", "參", "肆", "伍", "陸", "柒", "捌", "玖", "拾"],
+// 活動設定（獎項、分店、日期區間）預設值與驗證定義於 functions/lottery-core.js，與 Cloud Functions 共用
+const {
+  PHONE_REGEX,
+  mergeCampaign,
+  validateCampaign,
+  getCampaignStatus,
+  getBranchRooms,
+  createPrizeSimulation,
+  GRAND_DRAW_ALGORITHM,
+  getBeaconTime,
+  getBeaconRound,
+  fetchBeaconRandomness,
+  sha256Hex,
+  generateDrawSeed,
+  getGrandDrawSerials,
+  hashSerials,
+  pickGrandSerial,
+  isValidSerial,
+  normalizeCouponCode,
+  isValidCouponCode,
+  formatCouponCode,
+  getCouponStatus,
+  getCouponRedeemError,
+  COUPON_STATUS_LABELS,
+  NOTIFY_TEMPLATE_FIELDS,
+  getNotifyTemplate,
+  renderNotifyTemplate,
+  STAFF_ROLES,
+  getStaffBranches,
+  canEditBranch,
+} = window.LotteryCore;
+
+// 後台訂單列表每頁筆數
+const ADMIN_PAGE_SIZE = 50;
+
+// 公開種子雜湊時指定約 1 分鐘後的 drand 回合，本機時鐘稍有誤差也不會指定到已產生的回合
+const GRAND_DRAW_BEACON_DELAY_MS = 60 * 1000;
+
+// 批次發獎每批處理的訂單數：安全規則在單一批次最多讀取 20 份文件，
+// 每筆訂單需讀取稽核紀錄（寫入前後）與訂單本身約 3 次，另加工作人員資料 1 次
+const BULK_BATCH_SIZE = 6;
+
+// 新訂單 / 其他人修改的列標示持續時間
+const ROW_HIGHLIGHT_MS = 8000;
+
+// 刮刮樂銀漆刮開超過此百分比即自動揭曉
+const SCRATCH_REVEAL_PERCENT = 75;
+
+const STORAGE_NOT_READY = "資料庫連線尚未準備好，請稍後再試";
+
+// 讀寫失敗的提示：權限錯誤統一提示檢查安全規則，其他錯誤顯示「{action}失敗：原因」
+const describeStorageError = (err, action) =>
+  isPermissionDenied(err)
+    ? "權限不足：請檢查 Firestore 安全規則設置"
+    : `${action}失敗：${err.message || "未知錯誤"}`;
+
+// 中獎通知狀態（訂單 notifyStatus，由 Cloud Functions 更新）
+const NOTIFY_STATUS_LABELS = {
+  queued: "⏳ 通知排程中",
+  retrying: "⚠️ 通知失敗，重試中",
+  sent: "📨 已自動通知",
+  failed: "❌ 通知失敗，請手動發送",
 };
-const DURATIONS = [
-  { label: "1小時", val: 1 },
-  { label: "2小時", val: 2 },
-  { label: "3小時", val: 3 },
-  { label: "4小時", val: 4 },
-  { label: "5小時", val: 5 },
-  { label: "6小時", val: 6 },
-  { label: "8小時", val: 8 },
-  { label: "12小時", val: 12 },
-];
 
-const PRIZES = [
-  { id: "none_1", name: "銘謝惠顧", type: "none", prob: 0.2625, limit: -1 },
-  { id: "none_2", name: "下次再加油", type: "none", prob: 0.2625, limit: -1 },
-  { id: "ext_1h", name: "1小時續時券", type: "win", prob: 0.2, limit: -1 },
-  { id: "disc_50", name: "50元折價券", type: "win", prob: 0.2, limit: -1 },
-  { id: "ext_2h", name: "2小時續時券", type: "win", prob: 0.06, limit: 30 },
-  {
-    id: "free_2h",
-    name: "2小時免費包廂卷",
-    type: "win",
-    prob: 0.01,
-    limit: 15,
-  },
-  {
-    id: "free_4h",
-    name: "4小時免費包廂卷",
-    type: "win",
-    prob: 0.005,
-    limit: 5,
-  },
-];
+// 後台頁籤對應的伺服器端篩選條件 [欄位, 運算子, 值]
+const ADMIN_TAB_FILTERS = {
+  grand: ["isGrandEligible", "==", true],
+  instant: ["scratchPrizeType", "==", "win"],
+};
 
-// --- Helper Functions ---
-const generateSerial = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// 後台訂單篩選列條件，鍵名即網址參數名稱（?phone=&branch=...）
+// phone：完整手機或末 4 碼；from / to：消費日期（訂單的 date 欄位）YYYY-MM-DD；sent：yes / no
+const EMPTY_ORDER_FILTERS = {
+  phone: "",
+  branch: "",
+  room: "",
+  from: "",
+  to: "",
+  prize: "",
+  sent: "",
+  serial: "",
 };
 
+// 加上 Damm 檢查碼之前發出的大獎序號為 6 位數字，後台篩選仍需能查詢
+const LEGACY_SERIAL_REGEX = /^\d{6}$/;
+
+// --- Helper Functions ---
 const getTodayDateString = () => {
   const d = new Date();
   return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
@@ -329,207 +359,570 @@ const getTodayDateString = () => {
   )}-${String(d.getDate()).padStart(2, "0")}`;
 };
 
-// 僅允許選擇 2 月：回傳當年 2 月的 min/max（考慮閏年）
-const getFebruaryDateRange = () => {
-  const year = new Date().getFullYear();
-  const isLeap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
-  const maxDay = isLeap ? 29 : 28;
-  return {
-    min: `${year}-02-01`,
-    max: `${year}-02-${String(maxDay).padStart(2, "0")}`,
-  };
+// 預設日期：若今天在活動期間內則為今天，否則為活動第一天
+const getDefaultEntryDate = (dateRange) => {
+  const today = getTodayDateString();
+  if (today >= dateRange.min && today <= dateRange.max) return today;
+  return dateRange.min;
 };
 
-// 預設日期：若本月是 2 月則為今天，否則為當年 2 月 1 日
-const getDefaultFebruaryDate = () => {
-  const d = new Date();
-  if (d.getMonth() === 1) return getTodayDateString();
-  const { min } = getFebruaryDateRange();
-  return min;
+// 倒數計時顯示：X 天 HH:MM:SS
+const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(total / 86400);
+  const hms = [
+    Math.floor((total % 86400) / 3600),
+    Math.floor((total % 3600) / 60),
+    total % 60,
+  ]
+    .map((n) => String(n).padStart(2, "0"))
+    .join(":");
+  return days > 0 ? `${days} 天 ${hms}` : hms;
+};
+
+// 從網址參數讀取篩選條件
+const readOrderFiltersFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  return Object.fromEntries(
+    Object.keys(EMPTY_ORDER_FILTERS).map((key) => [key, params.get(key) || ""]),
+  );
+};
+
+// 將篩選條件寫回網址（replaceState，不新增瀏覽紀錄）
+const writeOrderFiltersToUrl = (filters) => {
+  const params = new URLSearchParams(window.location.search);
+  Object.keys(EMPTY_ORDER_FILTERS).forEach((key) => {
+    if (filters[key]) params.set(key, filters[key]);
+    else params.delete(key);
+  });
+  const search = params.toString();
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`,
+  );
+};
+
+const hasOrderFilters = (filters) => Object.values(filters).some(Boolean);
+
+// 訂單上的兌換碼欄位，供 getCouponStatus 判斷狀態；未中獎時回傳 null
+const getRowCoupon = (row) =>
+  row.couponCode
+    ? { status: row.couponStatus, expiresAt: row.couponExpiresAt }
+    : null;
+
+// 進行中的刮刮樂：登錄成功後存在本機，重新整理或重開頁面時還原刮刮樂/結果畫面，
+// 按「返回首頁」才清除；{ orderId, lookupCode, prize, serial, coupon, revealedAt, revealSynced, savedAt }
+const SCRATCH_SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const readScratchSession = () => {
+  try {
+    const session = JSON.parse(
+      localStorage.getItem(`scratchSession:${appId}`) || "null",
+    );
+    if (session && Date.now() - session.savedAt < SCRATCH_SESSION_MAX_AGE_MS) {
+      return session;
+    }
+  } catch (e) {
+    console.warn("Invalid scratch session:", e);
+  }
+  return null;
+};
+
+const writeScratchSession = (session) => {
+  try {
+    localStorage.setItem(`scratchSession:${appId}`, JSON.stringify(session));
+  } catch (e) {
+    // 無痕模式等無法寫入時仍可繼續刮，只是無法還原
+    console.warn("Save scratch session failed:", e);
+  }
+};
+
+const clearScratchSession = () => {
+  try {
+    localStorage.removeItem(`scratchSession:${appId}`);
+  } catch (e) {
+    // 無法存取 localStorage 時本來就沒有保存進度，不影響返回首頁
+    console.warn("Clear scratch session failed:", e);
+  }
+};
+
+// 離線登錄佇列：送出時沒有網路就先存在本機 IndexedDB，恢復連線後自動重送
+// 每筆 { id, appId, formData, queuedAt, attempts, lastError, nextAttemptAt, failed }；id 同時是 submitEntry 的 clientRequestId，
+// 前一次其實已寫入但回應沒收到時，後端會回傳同一筆訂單而不是判定重複登錄
+const ENTRY_QUEUE_DB = "mahjong-lottery";
+const ENTRY_QUEUE_STORE = "pendingEntries";
+const ENTRY_QUEUE_SYNC_INTERVAL_MS = 15 * 1000;
+// 重送失敗後依失敗次數延後下次自動重送，超過次數標記 failed，只能由客人手動重試
+const ENTRY_QUEUE_BACKOFF_MS = [15, 60, 5 * 60, 15 * 60].map((s) => s * 1000);
+const ENTRY_QUEUE_MAX_ATTEMPTS = ENTRY_QUEUE_BACKOFF_MS.length + 1;
+const SUBMIT_TIMEOUT_MS = 20 * 1000; // 訊號弱時不等到預設的 70 秒才排入佇列
+
+// 後端驗證失敗（重複登錄、資料格式錯誤、活動設定錯誤），重送也不會成功
+const ENTRY_REJECTED_CODES = [
+  "functions/already-exists",
+  "functions/invalid-argument",
+  "functions/failed-precondition",
+];
+
+// 網路斷線或後端暫時連不上，登錄可以排入佇列稍後重送；SDK 在請求送不出去時也回報 functions/internal，
+// 所以一併排入，真正的後端錯誤會在重送 ENTRY_QUEUE_MAX_ATTEMPTS 次後標記 failed
+const isOfflineError = (err) =>
+  !navigator.onLine ||
+  [
+    "functions/unavailable",
+    "functions/deadline-exceeded",
+    "functions/internal",
+  ].includes(err?.code);
+
+const createClientRequestId = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const openEntryQueue = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(ENTRY_QUEUE_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ENTRY_QUEUE_STORE, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+// 開一個 transaction 執行 action(store)，完成後回傳該 request 的結果
+const runEntryQueue = async (mode, action) => {
+  const idb = await openEntryQueue();
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(ENTRY_QUEUE_STORE, mode);
+    const request = action(tx.objectStore(ENTRY_QUEUE_STORE));
+    tx.oncomplete = () => {
+      idb.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      idb.close();
+      reject(tx.error);
+    };
+  });
+};
+
+const saveQueuedEntry = (entry) =>
+  runEntryQueue("readwrite", (store) => store.put(entry));
+
+const removeQueuedEntry = (id) =>
+  runEntryQueue("readwrite", (store) => store.delete(id));
+
+const listQueuedEntries = async () => {
+  const entries = await runEntryQueue("readonly", (store) => store.getAll());
+  return entries
+    .filter((entry) => entry.appId === appId)
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+// 大螢幕顯示用：隱藏手機號碼中間 3 碼
+const maskPhone = (phone) =>
+  phone ? `${phone.slice(0, 4)}***${phone.slice(7)}` : "";
+
+// 依活動設定產生登錄表單的初始值
+const getInitialFormData = (campaign) => {
+  const branch = campaign.branches[0]?.name || "";
+  return {
+    phone: "",
+    date: getDefaultEntryDate(campaign.dateRange),
+    branch,
+    room: getBranchRooms(campaign, branch)[0] || "",
+    duration: campaign.durations[0]?.val || 1,
+  };
 };
 
 // --- Main App Component ---
 function App() {
-  const [user, setUser] = useState(null);
-  const [view, setView] = useState("home"); // home, scratch, result, admin, adminLogin
-  const [formData, setFormData] = useState({
-    phone: "",
-    date: getDefaultFebruaryDate(),
-    branch: BRANCHES[0],
-    room: BRANCH_ROOMS[BRANCHES[0]]?.[0] || "",
-    duration: 1,
-  });
+  const [staff, setStaff] = useState(null); // staff/{uid} 文件，未登入或非工作人員時為 null
+  const [view, setView] = useState("home"); // home, scratch, result, pending, lookup, admin, adminLogin
+  const [campaign, setCampaign] = useState(null); // 活動設定，載入完成前為 null
+  const [campaignError, setCampaignError] = useState("");
+  const [formData, setFormData] = useState(null);
+  const [now, setNow] = useState(Date.now()); // 首頁倒數計時與活動狀態切換用
 
   // 獲取當前分店的包廂列表
   const getCurrentRooms = () => {
-    return BRANCH_ROOMS[formData.branch] || [];
+    return getBranchRooms(campaign, formData.branch);
   };
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [scratchResult, setScratchResult] = useState(null);
   const [grandDrawSerial, setGrandDrawSerial] = useState(null);
   const [orderId, setOrderId] = useState(null); // Firestore Doc ID
+  const [coupon, setCoupon] = useState(null); // 中獎兌換碼 { code, expiresAt }
+  const [lookupCode, setLookupCode] = useState(null); // 查詢登錄紀錄用
+  const [online, setOnline] = useState(navigator.onLine);
+  const [queuedEntries, setQueuedEntries] = useState([]); // 離線佇列中等待送出的登錄
+  const [syncOutcomes, setSyncOutcomes] = useState([]); // 佇列重送結果 [{ id, formData, ok, data, message }]
+  const [syncing, setSyncing] = useState(false);
+  const syncingRef = useRef(false);
+  const viewRef = useRef(view); // 重送完成時判斷客人是否還停在等待畫面
+  viewRef.current = view;
 
   // Admin State
+  const [adminEmail, setAdminEmail] = useState("");
   const [adminPass, setAdminPass] = useState("");
-  const [adminTab, setAdminTab] = useState("grand"); // grand, instant
+  const [adminTab, setAdminTab] = useState("grand"); // grand, instant, redeem, dashboard, settings
   const [adminData, setAdminData] = useState([]);
+  const [orderFilters, setOrderFilters] = useState(readOrderFiltersFromUrl); // 篩選列條件，與網址參數同步
+  const [adminHasMore, setAdminHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const liveOrdersRef = useRef([]); // 即時訂閱的第一頁訂單
+  const olderOrdersRef = useRef({ rows: [], hasMore: null }); // 載入更多以 startAfter 讀取的較舊訂單（不即時更新）
+  const ordersListKeyRef = useRef(0); // 重新訂閱列表時遞增，捨棄舊列表的載入更多結果
+  const [rowHighlights, setRowHighlights] = useState({}); // { [orderId]: { type: "new" | "changed", by } }
+  const myAuditIdsRef = useRef(new Set()); // 本機寫入的稽核紀錄 ID，用來分辨其他工作人員的修改
+  const [selectedRows, setSelectedRows] = useState({}); // 刮刮樂頁勾選的訂單 { [orderId]: row }
+  const [bulkProgress, setBulkProgress] = useState(null); // { label, total, done, skipped, failed, running }
+  const [prizeCounts, setPrizeCounts] = useState({}); // stats/prize_counts
+  const [campaignStats, setCampaignStats] = useState(null); // 統計頁的計數結果
+  const [historyOrder, setHistoryOrder] = useState(null); // 開啟修改歷程的訂單
+  const [historyLogs, setHistoryLogs] = useState([]);
+  const [historyNotifyLogs, setHistoryNotifyLogs] = useState([]); // 中獎通知發送紀錄
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  // Grand Draw State（直播開獎）
+  const [grandEntrants, setGrandEntrants] = useState([]);
+  const [grandWinners, setGrandWinners] = useState([]);
+  const [grandDrawState, setGrandDrawState] = useState(null); // grand_draw/state：公開的種子雜湊
+  const [grandDrawSeed, setGrandDrawSeed] = useState(null); // 尚未公開的種子，只存在本機
+
+  // 讀取工作人員資料（staff/{uid}），非工作人員回傳 null
+  const loadStaffProfile = async (u) => {
+    const profile = await backend.getDoc(`staff/${u.uid}`);
+    return profile ? { uid: u.uid, email: u.email, ...profile } : null;
+  };
 
-  // Auth Setup - DISABLED (暫時不使用 Firebase Auth)
+  // Auth Setup - 工作人員以 Email/密碼登入，登入狀態由 backend 保存，重新整理後仍有效
   useEffect(() => {
-    // 設置一個假的用戶，讓應用可以運行
-    setUser({ uid: "demo-user-" + Date.now() });
-
-    // 如果需要啟用 Firebase Auth，取消下面的註釋：
-    /*
     let unsubscribe = null;
-    
+    let retryTimer = null;
+    let retries = 0;
+
     const setupAuth = () => {
-      const currentSignInAnonymously = window.firebaseAuth?.signInAnonymously;
-      const currentOnAuthStateChanged = window.firebaseAuth?.onAuthStateChanged;
-      
-      if (!auth || !currentSignInAnonymously || !currentOnAuthStateChanged) {
-        return false;
+      if (!backend) {
+        // 資料存取層尚未初始化，稍後重試（最多 10 秒）
+        if (retries++ < 50) retryTimer = setTimeout(setupAuth, 200);
+        return;
       }
 
-      const initAuth = async () => {
+      unsubscribe = backend.onAuthStateChanged(async (u) => {
+        if (!u) {
+          setStaff(null);
+          return;
+        }
         try {
-          if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-            await currentSignInAnonymously(auth);
-          } else {
-            await currentSignInAnonymously(auth);
-          }
+          setStaff(await loadStaffProfile(u));
         } catch (err) {
-          console.error('Auth initialization error:', err);
+          console.error("Staff profile error:", err);
+          setStaff(null);
         }
-      };
-      
-      initAuth();
-      unsubscribe = currentOnAuthStateChanged(auth, (u) => setUser(u));
-      return true;
+      });
+    };
+
+    setupAuth();
+    return () => {
+      clearTimeout(retryTimer);
+      if (unsubscribe) unsubscribe();
     };
+  }, []);
 
-    if (!setupAuth()) {
-      console.warn('Firebase Auth not ready yet, will retry...');
-      const retryInterval = setInterval(() => {
-        if (setupAuth()) {
-          clearInterval(retryInterval);
+  // Campaign Setup - 啟動時載入活動設定
+  useEffect(() => {
+    let retryTimer = null;
+    let retries = 0;
+
+    const loadCampaign = async () => {
+      if (!backend) {
+        // 資料存取層尚未初始化，稍後重試（最多 10 秒）
+        if (retries++ < 50) {
+          retryTimer = setTimeout(loadCampaign, 200);
+        } else {
+          applyCampaign(mergeCampaign(null), STORAGE_NOT_READY);
         }
-      }, 200);
-      
-      setTimeout(() => clearInterval(retryInterval), 10000);
-      
-      return () => {
-        clearInterval(retryInterval);
-        if (unsubscribe) unsubscribe();
-      };
-    }
+        return;
+      }
+
+      try {
+        const loaded = mergeCampaign(await backend.getDoc("config/campaign"));
+        const errors = validateCampaign(loaded);
+        if (errors.length > 0) {
+          console.error("Invalid campaign config:", errors);
+          applyCampaign(loaded, "活動設定錯誤，請聯繫客服");
+        } else {
+          applyCampaign(loaded, "");
+        }
+      } catch (err) {
+        console.error("Campaign load error:", err);
+        applyCampaign(mergeCampaign(null), "活動設定載入失敗，請重新整理頁面");
+      }
+    };
+
+    const applyCampaign = (loaded, errorMessage) => {
+      setCampaign(loaded);
+      setCampaignError(errorMessage);
+      setFormData(getInitialFormData(loaded));
+
+      // 上次登錄後尚未返回首頁（重新整理、關閉瀏覽器）時還原該筆訂單
+      const session = readScratchSession();
+      if (session) {
+        setOrderId(session.orderId);
+        setGrandDrawSerial(session.serial);
+        setScratchResult(session.prize);
+        setCoupon(session.coupon);
+        setLookupCode(session.lookupCode);
+        setView(session.revealedAt ? "result" : "scratch");
+        if (session.revealedAt && !session.revealSynced) syncRevealed(session);
+      }
+    };
+
+    loadCampaign();
+    return () => clearTimeout(retryTimer);
+  }, []);
 
+  // 首頁每秒更新時間，讓倒數計時與開放/結束狀態自動切換
+  useEffect(() => {
+    if (view !== "home") return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [view]);
+
+  // 網路恢復時自動重送離線佇列，佇列有資料時也定期重試
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      syncQueuedEntries();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
     return () => {
-      if (unsubscribe) unsubscribe();
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
     };
-    */
   }, []);
 
+  useEffect(() => {
+    if (campaign) syncQueuedEntries();
+  }, [campaign]);
+
+  const retryingEntryCount = queuedEntries.filter((e) => !e.failed).length;
+  useEffect(() => {
+    if (!online || retryingEntryCount === 0) return;
+    const timer = setInterval(syncQueuedEntries, ENTRY_QUEUE_SYNC_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [online, retryingEntryCount]);
+
+  // 登錄成功（直接送出或佇列重送）後進入刮刮樂
+  const startScratch = (data) => {
+    setOrderId(data.orderId);
+    setGrandDrawSerial(data.serial);
+    setScratchResult(data.prize);
+    setCoupon(data.coupon);
+    setLookupCode(data.lookupCode);
+    writeScratchSession({
+      orderId: data.orderId,
+      lookupCode: data.lookupCode,
+      prize: data.prize,
+      serial: data.serial,
+      coupon: data.coupon,
+      revealedAt: null,
+      revealSynced: false,
+      savedAt: Date.now(),
+    });
+    setView("scratch"); // Go to Game
+  };
+
+  const refreshQueuedEntries = async () => {
+    try {
+      setQueuedEntries(await listQueuedEntries());
+    } catch (err) {
+      // 瀏覽器不支援或停用 IndexedDB 時視為沒有佇列
+      console.warn("Read entry queue failed:", err);
+      setQueuedEntries([]);
+    }
+  };
+
+  // 依序重送佇列中的登錄；重送時後端會重新檢查是否重複登錄
+  // 自動重送略過還在延後中與已標記 failed 的登錄，force（客人按「立即重試」）時全部重送
+  const syncQueuedEntries = async ({ force = false } = {}) => {
+    // 不支援 IndexedDB 的瀏覽器不會有佇列
+    if (syncingRef.current || !window.indexedDB) return;
+    if (!navigator.onLine || !backend) {
+      await refreshQueuedEntries();
+      return;
+    }
+    syncingRef.current = true;
+    setSyncing(true);
+
+    const outcomes = [];
+    try {
+      for (const entry of await listQueuedEntries()) {
+        if (
+          !force &&
+          (entry.failed || (entry.nextAttemptAt || 0) > Date.now())
+        ) {
+          continue;
+        }
+        try {
+          const data = await backend.call(
+            "submitEntry",
+            { ...entry.formData, appId, clientRequestId: entry.id },
+            { timeout: SUBMIT_TIMEOUT_MS },
+          );
+          await removeQueuedEntry(entry.id);
+          // 客人還在等待畫面或首頁時直接開始刮，否則留在結果清單讓客人自己點
+          if (
+            ["pending", "home"].includes(viewRef.current) &&
+            !outcomes.some((o) => o.ok)
+          ) {
+            startScratch(data);
+            viewRef.current = "scratch";
+          } else {
+            outcomes.push({
+              id: entry.id,
+              formData: entry.formData,
+              ok: true,
+              data,
+            });
+          }
+        } catch (err) {
+          if (ENTRY_REJECTED_CODES.includes(err.code)) {
+            await removeQueuedEntry(entry.id);
+            outcomes.push({
+              id: entry.id,
+              formData: entry.formData,
+              ok: false,
+              message: err.message,
+            });
+            continue;
+          }
+          // 仍然連不上或後端暫時錯誤：保留在佇列並延後重送，下次再從這筆開始
+          console.warn("Queued entry sync failed:", err);
+          const attempts = entry.attempts + 1;
+          const failed = attempts >= ENTRY_QUEUE_MAX_ATTEMPTS;
+          await saveQueuedEntry({
+            ...entry,
+            attempts,
+            lastError: isOfflineError(err) ? "網路連線中斷" : err.message,
+            nextAttemptAt: failed
+              ? null
+              : Date.now() + ENTRY_QUEUE_BACKOFF_MS[attempts - 1],
+            failed,
+          });
+          break;
+        }
+      }
+    } catch (err) {
+      console.error("Sync entry queue failed:", err);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      if (outcomes.length > 0) {
+        setSyncOutcomes((prev) => [...prev, ...outcomes]);
+      }
+      await refreshQueuedEntries();
+    }
+  };
+
+  // 沒有網路時把登錄存進離線佇列並顯示等待畫面，存不進去（例如無痕模式）回傳 false
+  const queueOfflineEntry = async (clientRequestId) => {
+    try {
+      const queued = await listQueuedEntries();
+      if (
+        queued.some(
+          (entry) =>
+            entry.formData.phone === formData.phone &&
+            entry.formData.date === formData.date,
+        )
+      ) {
+        setError("此手機號碼今日已有一筆登錄等待送出，請勿重複登錄！");
+        return true;
+      }
+      await saveQueuedEntry({
+        id: clientRequestId,
+        appId,
+        formData,
+        queuedAt: Date.now(),
+        attempts: 0,
+        lastError: null,
+        nextAttemptAt: null,
+        failed: false,
+      });
+      await refreshQueuedEntries();
+      setFormData({ ...formData, phone: "" });
+      setView("pending");
+      return true;
+    } catch (err) {
+      console.error("Queue entry failed:", err);
+      return false;
+    }
+  };
+
+  const cancelQueuedEntry = async (id) => {
+    if (!confirm("確定要取消這筆尚未送出的登錄嗎？")) return;
+    try {
+      await removeQueuedEntry(id);
+    } catch (err) {
+      console.error("Remove queued entry failed:", err);
+    }
+    await refreshQueuedEntries();
+  };
+
+  const dismissSyncOutcome = (id) => {
+    setSyncOutcomes((prev) => prev.filter((o) => o.id !== id));
+  };
+
   // --- Logic: Handle Form Submit ---
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!user) return;
+    if (getCampaignStatus(campaign) !== "open") return;
     setError("");
     setLoading(true);
 
     // Regex Validation for Taiwan Phone
-    const phoneRegex = /^09\d{8}$/;
-    if (!phoneRegex.test(formData.phone)) {
+    if (!PHONE_REGEX.test(formData.phone)) {
       setError("請輸入有效的手機號碼 (格式: 09xxxxxxxx)");
       setLoading(false);
       return;
     }
 
+    const clientRequestId = createClientRequestId();
     try {
-      // 動態獲取所有需要的 Firestore 函數（一次性獲取，避免重複聲明）
-      const collection = getFirestoreFn("collection");
-      const query = getFirestoreFn("query");
-      const where = getFirestoreFn("where");
-      const getDocs = getFirestoreFn("getDocs");
-      const addDoc = getFirestoreFn("addDoc");
-      const serverTimestamp = getFirestoreFn("serverTimestamp");
-
-      // 檢查 Firestore 函數是否已載入
-      if (
-        !collection ||
-        !query ||
-        !where ||
-        !getDocs ||
-        !addDoc ||
-        !serverTimestamp ||
-        !db
-      ) {
-        setError("資料庫連線尚未準備好，請稍後再試");
-        setLoading(false);
-        return;
-      }
-
-      // 1. Check duplicate entry (Phone + Date)
-      const q = query(
-        collection(db, "artifacts", appId, "public", "data", "orders"),
-        where("phone", "==", formData.phone),
-        where("date", "==", formData.date),
-      );
-      const snapshot = await getDocs(q);
-
-      if (!snapshot.empty) {
-        setError("此手機號碼今日已參加過抽獎，同一筆訂單不得重複參加！");
-        setLoading(false);
+      // 沒有網路時不必等逾時，直接排入離線佇列
+      if (!navigator.onLine && (await queueOfflineEntry(clientRequestId))) {
         return;
       }
 
-      // 2. Prepare Data
-      const isGrandEligible = parseInt(formData.duration) >= 4;
-      const serial = isGrandEligible ? generateSerial() : null;
-
-      // 3. Determine Scratch Prize (Server-side simulation logic)
-      const prize = await determinePrize();
-
-      // 檢查 addDoc 和 collection 是否已載入
-      if (!addDoc || !collection || !serverTimestamp || !db) {
-        setError("資料庫連線尚未準備好，請稍後再試");
+      // 檢查資料存取層是否已載入
+      if (!backend) {
+        setError(STORAGE_NOT_READY);
         setLoading(false);
         return;
       }
 
-      // 4. Save to Firestore
-      const docRef = await addDoc(
-        collection(db, "artifacts", appId, "public", "data", "orders"),
-        {
-          ...formData,
-          userId: user.uid,
-          isGrandEligible,
-          grandDrawSerial: serial,
-          scratchPrizeId: prize.id,
-          scratchPrizeName: prize.name,
-          scratchPrizeType: prize.type,
-          prizeSent: false, // For backend tracking
-          timestamp: serverTimestamp(),
-        },
+      // 重複檢查、抽獎、序號發放與訂單寫入皆由後端 submitEntry 處理
+      const data = await backend.call(
+        "submitEntry",
+        { ...formData, appId, clientRequestId },
+        { timeout: SUBMIT_TIMEOUT_MS },
       );
-
-      setOrderId(docRef.id);
-      setGrandDrawSerial(serial);
-      setScratchResult(prize);
-      setView("scratch"); // Go to Game
+      startScratch(data);
     } catch (err) {
       console.error(err);
 
-      // 如果是權限錯誤，顯示友好訊息
-      if (
-        err.code === "permission-denied" ||
-        err.message?.includes("permission") ||
-        err.message?.includes("Missing or insufficient permissions")
+      // 後端驗證失敗（重複登錄、資料格式錯誤、活動設定錯誤）會帶回可直接顯示的訊息
+      if (ENTRY_REJECTED_CODES.includes(err.code)) {
+        setError(err.message);
+      } else if (
+        isOfflineError(err) &&
+        (await queueOfflineEntry(clientRequestId))
       ) {
-        setError(
-          "權限不足：請檢查 Firestore 安全規則設置。\n\n請在 Firebase 控制台 > Firestore Database > Rules 中設置規則。",
-        );
+        return;
       } else {
         setError("系統連線忙碌中，請稍後再試。");
       }
@@ -538,351 +931,1424 @@ function App() {
     }
   };
 
-  // --- Logic: Determine Prize with Limits ---
-  const determinePrize = async () => {
-    // This logic runs on client, but uses transaction for consistency on limits
-    // Simple implementation for this demo:
-    // We pick a prize based on weight. If it has a limit, we check a 'stats' doc.
-
-    const rand = Math.random();
-    let cumulative = 0;
-    let selectedPrize = PRIZES[0];
-
-    // Simple weighted random selection
-    for (const p of PRIZES) {
-      cumulative += p.prob;
-      if (rand <= cumulative) {
-        selectedPrize = p;
-        break;
-      }
-    }
-
-    // Check Limits (Simulated Transaction Logic)
-    if (selectedPrize.limit !== -1) {
-      try {
-        // 動態獲取 Firestore 函數
-        const doc = getFirestoreFn("doc");
-        const getDoc = getFirestoreFn("getDoc");
-
-        if (!doc || !getDoc || !db) {
-          // 如果函數未載入，使用安全回退
-          return selectedPrize;
-        }
-
-        const statsRef = doc(
-          db,
-          "artifacts",
-          appId,
-          "public",
-          "data",
-          "stats",
-          "prize_counts",
-        );
-        // Note: In a real app, use runTransaction. Here we read then verify.
-        const statsSnap = await getDoc(statsRef);
-
-        let currentCount = 0;
-        if (statsSnap.exists()) {
-          currentCount = statsSnap.data()[selectedPrize.id] || 0;
-        }
-
-        if (currentCount >= selectedPrize.limit) {
-          // Out of stock, fallback to coupon or none
-          return PRIZES.find((p) => p.id === "disc_50") || PRIZES[0];
-        } else {
-          // Increment count (Optimistic)
-          // Ideally this happens when the order is saved, but for simplicity:
-          /* Note: We are skipping the actual increment write here to keep code simple 
-             and focus on the UI/Flow logic as requested. 
-             In production: Use cloud functions or transactions. */
-        }
-      } catch (e) {
-        // If error checking limit, safe fallback
-        return PRIZES[0];
-      }
-    }
-    return selectedPrize;
-  };
-
   // --- Logic: Admin ---
-  const handleAdminLogin = (e) => {
-    e.preventDefault();
-    if (adminPass === "88881349") {
+  // 已登入的工作人員直接進入後台，否則顯示登入畫面
+  const openAdmin = () => {
+    if (staff) {
       setView("admin");
       fetchAdminData("grand");
     } else {
-      alert("密碼錯誤");
+      setView("adminLogin");
     }
   };
 
-  const fetchAdminData = async (tab) => {
-    setLoading(true);
-    setAdminTab(tab);
-    setAdminData([]);
-
-    // 動態獲取 Firestore 函數（只需要 collection 和 getDocs，不需要 query/where/orderBy）
-    const collection = getFirestoreFn("collection");
-    const getDocs = getFirestoreFn("getDocs");
-
-    // 檢查 Firestore 函數是否已載入
-    if (!collection || !getDocs || !db) {
-      console.error("Firebase Firestore functions not loaded yet");
-      setLoading(false);
-      alert("資料庫連線尚未準備好，請稍後再試");
+  const handleAdminLogin = async (e) => {
+    e.preventDefault();
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
       return;
     }
 
+    setLoading(true);
     try {
-      // 直接獲取所有資料，在內存中過濾和排序（不需要索引）
-      // 因為資料量不大，這樣更簡單且不需要建立索引
-      const colRef = collection(
-        db,
-        "artifacts",
-        appId,
-        "public",
-        "data",
-        "orders",
-      );
-      const snap = await getDocs(colRef);
-      let data = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
-
-      // 根據 tab 過濾資料
-      if (tab === "grand") {
-        data = data.filter((d) => d.isGrandEligible === true);
-      } else {
-        data = data.filter((d) => d.scratchPrizeType === "win");
+      const user = await backend.signIn(adminEmail.trim(), adminPass);
+      const profile = await loadStaffProfile(user);
+      if (!profile) {
+        await backend.signOut();
+        alert("此帳號沒有後台權限，請聯繫店長開通");
+        return;
       }
-
-      // 在內存中按時間戳排序（最新的在前）
-      data.sort((a, b) => {
-        const timeA = a.timestamp?.seconds || 0;
-        const timeB = b.timestamp?.seconds || 0;
-        return timeB - timeA; // 降序排列
-      });
-
-      setAdminData(data);
+      setStaff(profile);
+      setAdminPass("");
+      setView("admin");
+      fetchAdminData("grand", profile);
     } catch (err) {
-      console.error("Admin fetch error:", err);
-
-      // 如果是權限錯誤，顯示友好訊息
+      console.error("Admin login error:", err);
       if (
-        err.code === "permission-denied" ||
-        err.message?.includes("permission") ||
-        err.message?.includes("Missing or insufficient permissions")
+        [
+          "auth/invalid-credential",
+          "auth/invalid-email",
+          "auth/user-not-found",
+          "auth/wrong-password",
+        ].includes(err.code)
       ) {
-        setLoading(false);
-        alert(
-          "權限不足：請檢查 Firestore 安全規則設置。\n\n請在 Firebase 控制台 > Firestore Database > Rules 中設置規則。",
-        );
-        return;
+        alert("帳號或密碼錯誤");
+      } else if (err.code === "auth/too-many-requests") {
+        alert("登入嘗試次數過多，請稍後再試");
+      } else {
+        alert("登入失敗：" + (err.message || "未知錯誤"));
       }
-
-      // 其他錯誤
+    } finally {
       setLoading(false);
-      alert("查詢失敗：" + (err.message || "未知錯誤"));
     }
-    setLoading(false);
   };
 
-  const togglePrizeSent = async (docId, currentStatus) => {
+  const handleAdminLogout = async () => {
     try {
-      // 動態獲取 Firestore 函數
-      const updateDoc = getFirestoreFn("updateDoc");
-      const doc = getFirestoreFn("doc");
+      if (backend) await backend.signOut();
+    } catch (err) {
+      console.error("Admin logout error:", err);
+    }
+    setStaff(null);
+    setAdminData([]);
+    setView("home");
+  };
 
-      if (!updateDoc || !doc || !db) {
-        alert("資料庫連線尚未準備好，請稍後再試");
-        return;
-      }
+  const isOwner = staff?.role === "owner";
+
+  // 篩選列條件轉為 where 條件 [欄位, 運算子, 值]（分店由 getScopedOrdersQuery 處理）
+  // 各等值欄位皆有 (欄位, timestamp) 與 (欄位, date, timestamp) 複合索引，多個等值條件可由 Firestore 合併索引查詢
+  const getOrderFilterConstraints = (filters) => {
+    const constraints = [];
+    const phone = filters.phone.replace(/\D/g, "");
+    if (phone.length === 4) constraints.push(["phoneLast4", "==", phone]);
+    else if (phone) constraints.push(["phone", "==", phone]);
+    if (filters.room) constraints.push(["room", "==", filters.room]);
+    if (filters.prize) {
+      constraints.push(["scratchPrizeId", "==", filters.prize]);
+    }
+    if (filters.sent) {
+      constraints.push(["prizeSent", "==", filters.sent === "yes"]);
+    }
+    if (filters.serial) {
+      constraints.push(["grandDrawSerial", "==", filters.serial]);
+    }
+    // 消費日期為 YYYY-MM-DD 字串，可直接比較範圍
+    if (filters.from) constraints.push(["date", ">=", filters.from]);
+    if (filters.to) constraints.push(["date", "<=", filters.to]);
+    return constraints;
+  };
 
-      await updateDoc(
-        doc(db, "artifacts", appId, "public", "data", "orders", docId),
-        {
-          prizeSent: !currentStatus,
-        },
-      );
-      // Refresh local state
-      setAdminData((prev) =>
-        prev.map((item) =>
-          item.id === docId ? { ...item, prizeSent: !currentStatus } : item,
-        ),
+  // 有日期範圍時 Firestore 須先依 date 排序，同一天內再依登錄時間由新到舊
+  const getOrderSort = (filters) =>
+    filters.from || filters.to
+      ? [
+          ["date", "desc"],
+          ["timestamp", "desc"],
+        ]
+      : [["timestamp", "desc"]];
+
+  // 訂單查詢依工作人員負責的分店限縮；非 owner 必須帶 branch 條件，否則會被安全規則拒絕
+  // filters 為篩選列條件，extra 為額外的 { where, limit }，回傳 backend 的 query（依 getOrderSort 排序）
+  // 回傳 null 表示該帳號沒有任何分店可查看（或篩選的分店不在負責範圍內）
+  const getScopedOrdersQuery = (
+    profile = staff,
+    filters = EMPTY_ORDER_FILTERS,
+    extra = {},
+  ) => {
+    const where = [
+      ...getOrderFilterConstraints(filters),
+      ...(extra.where || []),
+    ];
+    const branches = getStaffBranches(profile, campaign);
+
+    if (filters.branch) {
+      if (!branches.includes(filters.branch)) return null;
+      where.unshift(["branch", "==", filters.branch]);
+    } else if (profile?.role !== "owner") {
+      if (branches.length === 0) return null;
+      where.unshift(["branch", "in", branches]);
+    }
+    return { ...extra, where, orderBy: getOrderSort(filters) };
+  };
+
+  // 後台列表查詢：依登錄時間由新到舊，每頁 ADMIN_PAGE_SIZE 筆
+  // 頁籤篩選在伺服器端進行，需搭配 firestore.indexes.json 的複合索引
+  const getOrdersListQuery = (tab, profile, filters) =>
+    getScopedOrdersQuery(profile, filters, {
+      where: [ADMIN_TAB_FILTERS[tab]],
+      limit: ADMIN_PAGE_SIZE,
+    });
+
+  // 列表 = 即時的第一頁 + 載入更多取得的較舊訂單（已在第一頁的不重複顯示）
+  const showOrders = () => {
+    const liveIds = new Set(liveOrdersRef.current.map((row) => row.id));
+    setAdminData([
+      ...liveOrdersRef.current,
+      ...olderOrdersRef.current.rows.filter((row) => !liveIds.has(row.id)),
+    ]);
+  };
+
+  // 較舊的頁面沒有即時訂閱，本機修改成功後直接更新；patches 為 { [orderId]: 修改的欄位 }
+  const patchOlderOrders = (patches) => {
+    const older = olderOrdersRef.current;
+    if (!older.rows.some((row) => patches[row.id])) return;
+    olderOrdersRef.current = {
+      ...older,
+      rows: older.rows.map((row) =>
+        patches[row.id] ? { ...row, ...patches[row.id] } : row,
+      ),
+    };
+    showOrders();
+  };
+
+  // 列表上的提示（新訂單 / 其他人修改）顯示一段時間後移除
+  const flashRow = (id, highlight) => {
+    setRowHighlights((prev) => ({ ...prev, [id]: highlight }));
+    setTimeout(() => {
+      setRowHighlights((prev) => {
+        if (prev[id] !== highlight) return prev;
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+    }, ROW_HIGHLIGHT_MS);
+  };
+
+  // 其他工作人員修改了訂單：從稽核紀錄查出是誰改的
+  const flashChangedByOther = async (id, auditId) => {
+    const highlight = { type: "changed", by: "" };
+    flashRow(id, highlight);
+    try {
+      const log = await backend.getDoc(`audit_logs/${auditId}`);
+      if (!log) return;
+      const by = log.actorName || log.actorEmail;
+      setRowHighlights((prev) =>
+        prev[id] === highlight ? { ...prev, [id]: { ...highlight, by } } : prev,
       );
     } catch (err) {
-      console.error("Update error:", err);
-      if (
-        err.code === "permission-denied" ||
-        err.message?.includes("permission") ||
-        err.message?.includes("Missing or insufficient permissions")
-      ) {
-        alert("權限不足：請檢查 Firestore 安全規則設置");
-      } else {
-        alert("更新失敗：" + (err.message || "未知錯誤"));
-      }
+      console.error("Audit lookup error:", err);
     }
   };
 
-  const updateNote = async (docId, newNote) => {
+  // 即時訂單列表：依頁籤與篩選條件訂閱第一頁的 onSnapshot（統計與活動設定頁除外），
+  // 較舊的頁面由 loadMoreAdminData 以 startAfter 游標讀取
+  // 新進訂單與其他工作人員的修改會即時反映並標示
+  useEffect(() => {
+    if (view !== "admin" || !staff || !ADMIN_TAB_FILTERS[adminTab]) return;
+
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
+    // 切換頁籤或篩選條件時重新載入
+    ordersListKeyRef.current++;
+    liveOrdersRef.current = [];
+    olderOrdersRef.current = { rows: [], hasMore: null };
+    setLoading(true);
+    setLoadingMore(false);
+    setAdminData([]);
+    setAdminHasMore(false);
+    setRowHighlights({});
+    setSelectedRows({});
+
+    const ordersQuery = getOrdersListQuery(adminTab, staff, orderFilters);
+    if (!ordersQuery) {
+      setLoading(false);
+      return;
+    }
+    const compareOrders = (a, b) => {
+      for (const [field, dir] of ordersQuery.orderBy) {
+        const x = a[field]?.toMillis ? a[field].toMillis() : a[field];
+        const y = b[field]?.toMillis ? b[field].toMillis() : b[field];
+        if (x !== y) return (x > y ? 1 : -1) * (dir === "desc" ? -1 : 1);
+      }
+      return 0;
+    };
+
+    let isFirst = true;
+    let newestSeconds = 0;
+    const lastAuditIds = new Map();
+
+    const unsubscribe = backend.subscribe(
+      "orders",
+      ordersQuery,
+      ({ rows, changes }) => {
+        if (!isFirst) {
+          changes.forEach(({ type, id, data, pending }) => {
+            if (pending) return;
+            if (
+              type === "added" &&
+              (data.timestamp?.seconds || 0) > newestSeconds
+            ) {
+              flashRow(id, { type: "new" });
+            } else if (
+              type === "modified" &&
+              data.lastAuditId &&
+              data.lastAuditId !== lastAuditIds.get(id) &&
+              !myAuditIdsRef.current.has(data.lastAuditId)
+            ) {
+              flashChangedByOther(id, data.lastAuditId);
+            }
+          });
+
+          // 被新訂單擠出第一頁的訂單移到較舊的列表，避免在第一頁與已載入的頁面之間消失
+          const lastLive = rows[rows.length - 1];
+          const pushedOut =
+            rows.length === ADMIN_PAGE_SIZE
+              ? changes
+                  .filter(
+                    ({ type, data }) =>
+                      type === "removed" && compareOrders(data, lastLive) >= 0,
+                  )
+                  .map(({ id, data }) => ({ id, ...data }))
+                  .sort(compareOrders)
+              : [];
+          if (pushedOut.length > 0) {
+            olderOrdersRef.current = {
+              ...olderOrdersRef.current,
+              rows: [...pushedOut, ...olderOrdersRef.current.rows],
+            };
+          }
+        }
+
+        isFirst = false;
+        rows.forEach((row) => {
+          lastAuditIds.set(row.id, row.lastAuditId);
+          newestSeconds = Math.max(newestSeconds, row.timestamp?.seconds || 0);
+        });
+        liveOrdersRef.current = rows;
+        showOrders();
+        setAdminHasMore(
+          olderOrdersRef.current.hasMore ?? rows.length === ADMIN_PAGE_SIZE,
+        );
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Admin subscribe error:", err);
+        setLoading(false);
+        alert(describeStorageError(err, "查詢"));
+      },
+    );
+
+    return () => unsubscribe();
+  }, [view, staff?.uid, adminTab, orderFilters]);
+
+  // 稽核紀錄：後台每次修改都以同一個 batch / transaction 附加一筆 audit_logs
+  // targetType 為被修改文件的集合名稱；回傳紀錄 ID，需寫入被修改文件的 lastAuditId（安全規則會檢查）
+  const appendAuditLog = (
+    writer,
+    { targetType, targetId, branch, action, before, after },
+  ) => {
+    const logId = backend.newId("audit_logs");
+    writer.set(`audit_logs/${logId}`, {
+      targetType,
+      targetId,
+      branch: branch || "",
+      action,
+      before: before ?? null,
+      after: after ?? null,
+      actorUid: staff.uid,
+      actorEmail: staff.email || "",
+      actorName: staff.name || "",
+      at: backend.serverTimestamp(),
+    });
+    return logId;
+  };
+
+  // 切換後台頁籤；訂單列表由上方 onSnapshot 訂閱即時更新，統計與活動設定頁則一次讀取全部訂單
+  // profile 預設為目前登入的工作人員；登入當下 staff state 尚未更新，需直接傳入
+  const fetchAdminData = async (tab, profile = staff) => {
+    // 活動設定僅限 owner
+    if (tab === "settings" && profile?.role !== "owner") tab = "grand";
+    setAdminTab(tab);
+
+    // 檢查資料存取層是否已載入
+    if (!backend) {
+      console.error("Storage backend not loaded yet");
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
     try {
-      // 動態獲取 Firestore 函數
-      const updateDoc = getFirestoreFn("updateDoc");
-      const doc = getFirestoreFn("doc");
+      // 刮刮樂與統計頁籤需顯示限量獎項的已發數量
+      let counts = prizeCounts;
+      if (tab === "instant" || tab === "dashboard") {
+        counts = (await backend.getDoc("stats/prize_counts")) || {};
+        setPrizeCounts(counts);
+      }
 
-      if (!updateDoc || !doc || !db) {
-        alert("資料庫連線尚未準備好，請稍後再試");
-        return;
+      // 統計頁以計數查詢彙總負責分店的訂單，不讀取訂單內容；櫃台兌換與活動設定頁不需要訂單
+      if (tab === "dashboard") {
+        setLoading(true);
+        setCampaignStats(null);
+        const countOrders = (where, branch = "") => {
+          const ordersQuery = getScopedOrdersQuery(
+            profile,
+            { ...EMPTY_ORDER_FILTERS, branch },
+            { where },
+          );
+          return ordersQuery ? backend.count("orders", ordersQuery) : 0;
+        };
+        setCampaignStats(
+          await countCampaignStats(
+            campaign,
+            getStaffBranches(profile, campaign),
+            countOrders,
+            counts,
+          ),
+        );
       }
+    } catch (err) {
+      console.error("Admin fetch error:", err);
+      setLoading(false);
+      alert(describeStorageError(err, "查詢"));
+      return;
+    }
+    if (!ADMIN_TAB_FILTERS[tab]) setLoading(false);
+  };
 
-      await updateDoc(
-        doc(db, "artifacts", appId, "public", "data", "orders", docId),
-        {
-          note: newNote || "",
-        },
-      );
+  // 套用篩選列條件並寫入網址，重新整理或分享連結時保留
+  const applyOrderFilters = (filters) => {
+    setOrderFilters(filters);
+    writeOrderFiltersToUrl(filters);
+  };
 
-      // 更新本地狀態
-      setAdminData((prev) =>
-        prev.map((item) =>
-          item.id === docId ? { ...item, note: newNote || "" } : item,
-        ),
-      );
+  // 載入更多：以目前列表最後一筆為 startAfter 游標讀取下一頁
+  const loadMoreAdminData = async () => {
+    if (!adminHasMore || loadingMore) return;
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+    const ordersQuery = getOrdersListQuery(adminTab, staff, orderFilters);
+    const last = adminData[adminData.length - 1];
+    if (!ordersQuery || !last) return;
+
+    const listKey = ordersListKeyRef.current;
+    setLoadingMore(true);
+    try {
+      const rows = await backend.getDocs("orders", {
+        ...ordersQuery,
+        startAfter: last.id,
+      });
+      // 等待期間切換了頁籤或篩選條件
+      if (listKey !== ordersListKeyRef.current) return;
+      const hasMore = rows.length === ADMIN_PAGE_SIZE;
+      olderOrdersRef.current = {
+        rows: [...olderOrdersRef.current.rows, ...rows],
+        hasMore,
+      };
+      showOrders();
+      setAdminHasMore(hasMore);
+    } catch (err) {
+      console.error("Load more error:", err);
+      alert(describeStorageError(err, "查詢"));
+    } finally {
+      if (listKey === ordersListKeyRef.current) setLoadingMore(false);
+    }
+  };
+
+  const togglePrizeSent = async (docId, currentStatus) => {
+    const row = adminData.find((item) => item.id === docId);
+    if (!canEditBranch(staff, row?.branch)) {
+      alert("權限不足：此帳號無法修改該分店的發獎狀態");
+      return;
+    }
+
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
+    try {
+      // 以交易確認狀態仍與畫面相同，避免兩位工作人員同時切換互相覆蓋
+      // 第一頁由即時訂閱更新，較舊的頁面由 patchOlderOrders 更新
+      const orderPath = `orders/${docId}`;
+      await backend.runTransaction(async (transaction) => {
+        const order = await transaction.get(orderPath);
+        if (!!order?.prizeSent !== !!currentStatus) {
+          throw new Error("此筆資料剛被其他工作人員修改，請確認最新狀態");
+        }
+        const lastAuditId = appendAuditLog(transaction, {
+          targetType: "orders",
+          targetId: docId,
+          branch: row.branch,
+          action: "prizeSent",
+          before: { prizeSent: !!currentStatus },
+          after: { prizeSent: !currentStatus },
+        });
+        myAuditIdsRef.current.add(lastAuditId);
+        transaction.update(orderPath, {
+          prizeSent: !currentStatus,
+          lastAuditId,
+        });
+      });
+      patchOlderOrders({ [docId]: { prizeSent: !currentStatus } });
+    } catch (err) {
+      console.error("Update error:", err);
+      alert(describeStorageError(err, "更新"));
+    }
+  };
+
+  const updateNote = async (docId, newNote) => {
+    const row = adminData.find((item) => item.id === docId);
+    if (!canEditBranch(staff, row?.branch)) {
+      alert("權限不足：此帳號無法修改該分店的備註");
+      return;
+    }
+
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
+    try {
+      // 以交易讀取目前的備註，稽核紀錄的 before 記錄實際被覆蓋的內容
+      // 第一頁由即時訂閱更新，較舊的頁面由 patchOlderOrders 更新
+      const orderPath = `orders/${docId}`;
+      await backend.runTransaction(async (transaction) => {
+        const order = await transaction.get(orderPath);
+        if (!order) throw new Error("訂單不存在");
+        const lastAuditId = appendAuditLog(transaction, {
+          targetType: "orders",
+          targetId: docId,
+          branch: order.branch,
+          action: "note",
+          before: { note: order.note || "" },
+          after: { note: newNote || "" },
+        });
+        myAuditIdsRef.current.add(lastAuditId);
+        transaction.update(orderPath, {
+          note: newNote || "",
+          lastAuditId,
+        });
+      });
+      patchOlderOrders({ [docId]: { note: newNote || "" } });
     } catch (err) {
       console.error("Update note error:", err);
-      if (
-        err.code === "permission-denied" ||
-        err.message?.includes("permission") ||
-        err.message?.includes("Missing or insufficient permissions")
-      ) {
-        alert("權限不足：請檢查 Firestore 安全規則設置");
-      } else {
-        alert("更新備註失敗：" + (err.message || "未知錯誤"));
-      }
+      alert(describeStorageError(err, "更新備註"));
     }
   };
 
-  // 下載 Excel 報表（CSV，含 UTF-8 BOM 供 Excel 正確顯示中文）
-  const downloadExcelReport = async () => {
-    const collection = getFirestoreFn("collection");
-    const getDocs = getFirestoreFn("getDocs");
+  // --- 批次發獎 ---
+  const toggleRowSelected = (row) => {
+    setSelectedRows((prev) => {
+      const next = { ...prev };
+      if (next[row.id]) delete next[row.id];
+      else next[row.id] = row;
+      return next;
+    });
+  };
+
+  // 勾選 / 取消目前列表中可編輯的所有訂單
+  const toggleSelectLoaded = () => {
+    const editable = adminData.filter((row) =>
+      canEditBranch(staff, row.branch),
+    );
+    const allSelected = editable.every((row) => selectedRows[row.id]);
+    setSelectedRows(
+      allSelected ? {} : Object.fromEntries(editable.map((r) => [r.id, r])),
+    );
+  };
 
-    if (!collection || !getDocs || !db) {
-      alert("資料庫連線尚未準備好，請稍後再試");
+  // 勾選所有符合目前篩選條件的訂單（含尚未載入的頁面）
+  const selectAllFiltered = async () => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
       return;
     }
 
+    const ordersQuery = getScopedOrdersQuery(staff, orderFilters, {
+      where: [ADMIN_TAB_FILTERS[adminTab]],
+    });
+    if (!ordersQuery) return;
+
+    setLoadingMore(true);
     try {
-      setLoading(true);
-      const ordersRef = collection(
-        db,
-        "artifacts",
-        appId,
-        "public",
-        "data",
-        "orders",
+      const rows = (await backend.getDocs("orders", ordersQuery)).filter(
+        (row) => canEditBranch(staff, row.branch),
       );
-      const snapshot = await getDocs(ordersRef);
-      const rows = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+      setSelectedRows(Object.fromEntries(rows.map((r) => [r.id, r])));
+    } catch (err) {
+      console.error("Select all error:", err);
+      alert(describeStorageError(err, "選取"));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
-      // 依時間戳降序
-      rows.sort(
-        (a, b) => (b.timestamp?.seconds || 0) - (a.timestamp?.seconds || 0),
-      );
+  // 批次標記已發送 / 未發送或附加備註；分批以交易寫入，整批失敗時逐筆重試以找出失敗的訂單
+  const runBulkAction = async (action) => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
 
-      const headers = [
-        "登錄時間",
-        "會員電話",
-        "分店",
-        "包廂",
-        "日期",
-        "時長(小時)",
-        "大獎資格",
-        "抽獎序號",
-        "刮刮樂獎項",
-        "已發獎",
-        "備註",
-      ];
-      const escapeCsv = (v) => {
-        const s = (v == null ? "" : String(v)).replace(/"/g, '""');
-        return /[",\n\r]/.test(s) ? `"${s}"` : s;
+    let noteText = "";
+    if (action === "note") {
+      noteText = (prompt("要附加到已選訂單的備註：") || "").trim();
+      if (!noteText) return;
+    }
+
+    const rows = Object.values(selectedRows);
+    const label = {
+      sent: "標記已發送",
+      unsent: "標記未發送",
+      note: "附加備註",
+    }[action];
+    if (!confirm(`確定對 ${rows.length} 筆訂單「${label}」嗎？`)) return;
+
+    setBulkProgress({
+      label,
+      total: rows.length,
+      done: 0,
+      skipped: 0,
+      failed: [],
+      running: true,
+    });
+
+    // 以交易讀取訂單的最新資料：備註附加在目前的備註之後，稽核紀錄的 before 也取自讀到的值，
+    // 已是目標狀態的訂單不寫入。回傳 { written: { [id]: 寫入的欄位 }, skipped }
+    const writeChunk = (chunk) =>
+      backend.runTransaction(async (transaction) => {
+        const orders = [];
+        for (const row of chunk) {
+          const order = await transaction.get(`orders/${row.id}`);
+          if (!order) throw new Error("訂單不存在");
+          orders.push(order);
+        }
+
+        const written = {};
+        let skipped = 0;
+        chunk.forEach((row, i) => {
+          const order = orders[i];
+          let before;
+          let after;
+          if (action === "note") {
+            before = { note: order.note || "" };
+            after = {
+              note: order.note ? `${order.note}\n${noteText}` : noteText,
+            };
+          } else {
+            const prizeSent = action === "sent";
+            if (!!order.prizeSent === prizeSent) {
+              skipped++;
+              return;
+            }
+            before = { prizeSent: !!order.prizeSent };
+            after = { prizeSent };
+          }
+          const lastAuditId = appendAuditLog(transaction, {
+            targetType: "orders",
+            targetId: row.id,
+            branch: order.branch,
+            action: action === "note" ? "note" : "prizeSent",
+            before,
+            after,
+          });
+          myAuditIdsRef.current.add(lastAuditId);
+          transaction.update(`orders/${row.id}`, { ...after, lastAuditId });
+          written[row.id] = after;
+        });
+        return { written, skipped };
+      });
+
+    const failedIds = [];
+    for (let i = 0; i < rows.length; i += BULK_BATCH_SIZE) {
+      const chunk = rows.slice(i, i + BULK_BATCH_SIZE);
+      const failed = [];
+      let written = {};
+      let skipped = 0;
+      try {
+        ({ written, skipped } = await writeChunk(chunk));
+      } catch (err) {
+        console.error("Bulk batch error, retrying one by one:", err);
+        for (const row of chunk) {
+          try {
+            const result = await writeChunk([row]);
+            Object.assign(written, result.written);
+            skipped += result.skipped;
+          } catch (e) {
+            failed.push({
+              id: row.id,
+              phone: row.phone,
+              message: isPermissionDenied(e) ? "權限不足" : e.message,
+            });
+          }
+        }
+      }
+      failedIds.push(...failed.map((f) => f.id));
+      patchOlderOrders(written);
+      setBulkProgress((prev) => ({
+        ...prev,
+        done: prev.done + chunk.length,
+        skipped: prev.skipped + skipped,
+        failed: [...prev.failed, ...failed],
+      }));
+    }
+
+    setBulkProgress((prev) => ({ ...prev, running: false }));
+    // 保留失敗的訂單為勾選狀態，方便重試
+    setSelectedRows((prev) =>
+      Object.fromEntries(failedIds.map((id) => [id, prev[id]])),
+    );
+  };
+
+  // 讀取單筆訂單的修改歷程（audit_logs），非 owner 需帶分店條件才符合安全規則
+  const openOrderHistory = async (row) => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
+    setHistoryOrder(row);
+    setHistoryLogs([]);
+    setHistoryNotifyLogs([]);
+    setHistoryLoading(true);
+    try {
+      // 非 owner 需以分店限縮查詢範圍（安全規則依 branch 判斷可讀）
+      const branchScope = isOwner ? [] : [["branch", "==", row.branch]];
+      const fetchLogs = async (name, ...conditions) => {
+        const logs = await backend.getDocs(name, {
+          where: [...conditions, ...branchScope],
+        });
+        return logs.sort((a, b) => (b.at?.seconds || 0) - (a.at?.seconds || 0));
       };
+      setHistoryLogs(
+        await fetchLogs(
+          "audit_logs",
+          ["targetType", "==", "orders"],
+          ["targetId", "==", row.id],
+        ),
+      );
+      if (row.scratchPrizeType === "win") {
+        setHistoryNotifyLogs(
+          await fetchLogs("notify_logs", ["orderId", "==", row.id]),
+        );
+      }
+    } catch (err) {
+      console.error("Audit history error:", err);
+      alert(describeStorageError(err, "讀取修改歷程"));
+      setHistoryOrder(null);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
 
-      const toRow = (row) =>
-        [
-          row.timestamp
-            ? new Date(row.timestamp.seconds * 1000).toLocaleString("zh-TW")
-            : "",
-          row.phone || "",
-          row.branch || "",
-          row.room || "",
-          row.date || "",
-          row.duration ?? "",
-          row.isGrandEligible ? "是" : "否",
-          row.grandDrawSerial || "",
-          row.scratchPrizeName || "",
-          row.prizeSent ? "是" : "否",
-          (row.note || "").replace(/\r?\n/g, " "),
-        ]
-          .map(escapeCsv)
-          .join(",");
+  // --- Logic: Scratch Session（刮開後記錄） ---
+  // 刮開後先存本機再通知後端寫入 revealedAt；失敗（離線等）時下次開啟頁面再補送
+  const syncRevealed = async (session) => {
+    if (!backend) return;
+    try {
+      await backend.call("markRevealed", {
+        appId,
+        orderId: session.orderId,
+        lookupCode: session.lookupCode,
+      });
+      // 期間可能已按「返回首頁」清除，只更新同一筆訂單
+      if (readScratchSession()?.orderId === session.orderId) {
+        writeScratchSession({ ...session, revealSynced: true });
+      }
+    } catch (err) {
+      console.error("Mark revealed error:", err);
+    }
+  };
 
-      const csvContent =
-        "\uFEFF" +
-        headers.map(escapeCsv).join(",") +
-        "\n" +
-        rows.map(toRow).join("\n");
-      const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = `抽獎報表_${getTodayDateString()}.csv`;
-      a.click();
-      URL.revokeObjectURL(url);
-      alert(`✅ 已下載 ${rows.length} 筆資料`);
+  const handleScratchComplete = () => {
+    const session = readScratchSession();
+    setView("result");
+    if (session?.orderId !== orderId) return;
+    const revealed = { ...session, revealedAt: new Date().toISOString() };
+    writeScratchSession(revealed);
+    syncRevealed(revealed);
+  };
+
+  // --- Logic: My Entries Lookup（客人查詢登錄紀錄） ---
+  // 訂單不開放前端直接讀取，由後端 lookupEntries 驗證查詢碼並限制查詢次數
+  // 回傳 { entries } 或 { error }
+  const lookupMyEntries = async (phone, code) => {
+    if (!PHONE_REGEX.test(phone)) {
+      return { error: "請輸入有效的手機號碼 (格式: 09xxxxxxxx)" };
+    }
+    if (!backend) {
+      return { error: STORAGE_NOT_READY };
+    }
+    try {
+      const data = await backend.call("lookupEntries", { phone, code, appId });
+      return { entries: data.entries };
     } catch (err) {
-      console.error("Download report error:", err);
+      console.error(err);
+      // 查無資料、查詢次數過多、格式錯誤皆帶回可直接顯示的訊息
       if (
-        err.code === "permission-denied" ||
-        err.message?.includes("permission") ||
-        err.message?.includes("Missing or insufficient permissions")
+        err.code === "functions/not-found" ||
+        err.code === "functions/resource-exhausted" ||
+        err.code === "functions/invalid-argument"
       ) {
-        alert("權限不足：請檢查 Firestore 安全規則設置");
+        return { error: err.message };
+      }
+      return { error: "查詢失敗，請稍後再試" };
+    }
+  };
+
+  // --- Logic: Coupon Redemption (櫃台兌換) ---
+  // 以兌換碼或訂單編號查詢兌換碼，回傳 { coupon } 或 { error }（顯示於兌換畫面）
+  const lookupCoupon = async (input) => {
+    if (!backend) {
+      return { error: STORAGE_NOT_READY };
+    }
+
+    const code = normalizeCouponCode(input);
+    try {
+      if (isValidCouponCode(code)) {
+        const coupon = await backend.getDoc(`coupons/${code}`);
+        if (coupon) return { coupon: { code, ...coupon } };
+      } else if (/^[A-Z0-9]{8}$/.test(code)) {
+        // 兌換碼長度相同但檢查碼不符，多半是唸錯或打錯
+        return { error: "兌換碼有誤，請確認每一碼是否輸入正確" };
       } else {
-        alert("下載報表失敗：" + (err.message || "未知錯誤"));
+        const [found] = await backend.getDocs("coupons", {
+          where: [["orderId", "==", input.trim()]],
+          limit: 1,
+        });
+        if (found) {
+          const { id, ...coupon } = found;
+          return { coupon: { code: id, ...coupon } };
+        }
       }
-    } finally {
-      setLoading(false);
+      return { error: "查無此兌換碼或訂單編號（未中獎的訂單沒有兌換碼）" };
+    } catch (err) {
+      console.error("Coupon lookup error:", err);
+      return { error: describeStorageError(err, "查詢") };
     }
   };
 
-  // --- Render Views ---
+  // 標記兌換：在交易內重新確認狀態，避免兩個櫃台同時兌換同一張
+  // 兌換碼與訂單的兌換狀態、稽核紀錄同一筆交易寫入；回傳 { coupon } 或 { error }
+  const redeemCoupon = async (code, branch, room) => {
+    if (!canEditBranch(staff, branch)) {
+      return { error: "權限不足：此帳號無法在該分店兌換" };
+    }
 
-  if (view === "home") {
-    return (
-      <div className="min-h-screen bg-red-900 flex flex-col items-center justify-start p-4 font-sans text-yellow-50 overflow-hidden relative">
-        {/* Background Decorations */}
-        <div className="absolute top-0 left-0 w-32 h-32 bg-yellow-500 rounded-full blur-3xl opacity-20 -translate-x-10 -translate-y-10"></div>
-        <div className="absolute bottom-0 right-0 w-48 h-48 bg-red-600 rounded-full blur-3xl opacity-30 translate-x-10 translate-y-10"></div>
+    if (!backend) {
+      return { error: STORAGE_NOT_READY };
+    }
 
-        {/* Header */}
-        <div className="text-center mt-8 mb-6 z-10">
-          <h2 className="text-xl font-bold tracking-widest text-yellow-200 mb-1">
-            桃園闆娘麻將館
-          </h2>
-          <h1 className="text-4xl font-extrabold text-transparent bg-clip-text bg-gradient-to-b from-yellow-300 to-yellow-600 drop-shadow-sm">
-            一起慶過年
-          </h1>
-          <p className="mt-2 text-sm text-yellow-100 opacity-90">
-            消費滿4小時 抽大獎 iPhone 17
-          </p>
-          <div className="mt-4 flex flex-wrap justify-center gap-2 text-xs text-red-200">
-            <span className="bg-red-800 px-2 py-1 rounded border border-red-700">
-              二獎 現金$8800
-            </span>
-            <span className="bg-red-800 px-2 py-1 rounded border border-red-700">
-              三獎 儲值金$6600
-            </span>
+    const couponPath = `coupons/${code}`;
+    try {
+      await backend.runTransaction(async (transaction) => {
+        const coupon = await transaction.get(couponPath);
+        if (!coupon) throw new Error("查無此兌換碼");
+        const redeemError = getCouponRedeemError(coupon, branch);
+        if (redeemError) throw new Error(redeemError);
+
+        const lastAuditId = appendAuditLog(transaction, {
+          targetType: "orders",
+          targetId: coupon.orderId,
+          branch: coupon.branch,
+          action: "redeemCoupon",
+          before: { couponStatus: "issued" },
+          after: {
+            couponStatus: "redeemed",
+            couponRedeemedBranch: branch,
+            couponRedeemedRoom: room,
+          },
+        });
+        myAuditIdsRef.current.add(lastAuditId);
+        transaction.update(couponPath, {
+          status: "redeemed",
+          redeemedAt: backend.serverTimestamp(),
+          redeemedBranch: branch,
+          redeemedRoom: room,
+          redeemedBy: staff.uid,
+          redeemedByName: staff.name || staff.email || "",
+          lastAuditId,
+        });
+        transaction.update(`orders/${coupon.orderId}`, {
+          couponStatus: "redeemed",
+          couponRedeemedAt: backend.serverTimestamp(),
+          couponRedeemedBranch: branch,
+          couponRedeemedRoom: room,
+          lastAuditId,
+        });
+      });
+      return { coupon: { code, ...(await backend.getDoc(couponPath)) } };
+    } catch (err) {
+      console.error("Coupon redeem error:", err);
+      // 兌換前檢查的錯誤（已兌換、已過期等）直接顯示原因
+      return {
+        error: isPermissionDenied(err)
+          ? describeStorageError(err, "兌換")
+          : err.message || "兌換失敗：未知錯誤",
+      };
+    }
+  };
+
+  // --- Logic: Grand Draw (直播開獎) ---
+  const fetchGrandDrawData = async () => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const [orders, winners, state] = await Promise.all([
+        backend.getDocs("orders", {
+          where: [["isGrandEligible", "==", true]],
+        }),
+        backend.getDocs("grand_winners"),
+        backend.getDoc("grand_draw/state"),
+      ]);
+
+      setGrandEntrants(orders.filter((d) => d.grandDrawSerial));
+      setGrandWinners(winners.sort((a, b) => a.drawIndex - b.drawIndex));
+      setGrandDrawState(state);
+      setGrandDrawSeed(
+        state && !state.seed
+          ? localStorage.getItem(`grandDrawSeed:${appId}`)
+          : null,
+      );
+      setView("grandDraw");
+    } catch (err) {
+      console.error("Grand draw fetch error:", err);
+      alert(describeStorageError(err, "載入抽獎名單"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 抽出一位得獎者並寫入 grand_winners（文件 ID 為序號，防止同一序號中獎兩次）
+  // 成功回傳得獎者資料，失敗回傳 null
+  const drawGrandWinner = async (tier) => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return null;
+    }
+
+    if (!grandDrawState || !grandDrawSeed || grandDrawState.seed) {
+      alert("請先產生種子並公開雜湊，種子公開後即不能再抽獎");
+      return null;
+    }
+
+    // 名單必須與公開承諾時完全相同，否則抽獎結果無法被驗證
+    const serials = getGrandDrawSerials(grandEntrants);
+    if ((await hashSerials(serials)) !== grandDrawState.entrantsHash) {
+      alert("參加名單與公開雜湊時不同，無法抽獎。請重新載入名單確認。");
+      return null;
+    }
+
+    // 第一次抽獎前取得公開雜湊時指定的 drand 回合亂數
+    let drawState = grandDrawState;
+    if (!drawState.beaconRandomness) {
+      const readyAt = getBeaconTime(drawState.beaconRound);
+      if (Date.now() < readyAt) {
+        alert(
+          `drand 第 ${drawState.beaconRound} 回合亂數尚未產生，請於 ${new Date(readyAt).toLocaleTimeString("zh-TW")} 後再抽`,
+        );
+        return null;
+      }
+      try {
+        drawState = await recordGrandDrawBeacon();
+      } catch (err) {
+        console.error("Grand draw beacon error:", err);
+        alert(describeStorageError(err, "取得 drand 亂數"));
+        return null;
+      }
+    }
+
+    const drawIndex = grandWinners.length;
+    const serial = await pickGrandSerial(
+      grandDrawSeed,
+      drawState.beaconRandomness,
+      drawIndex,
+      serials,
+      grandWinners.map((w) => w.serial),
+    );
+    if (!serial) {
+      alert("已沒有可抽出的序號");
+      return null;
+    }
+    const entrant = grandEntrants.find((e) => e.grandDrawSerial === serial);
+
+    const winner = {
+      drawIndex,
+      serial,
+      orderId: entrant.id,
+      phone: entrant.phone || "",
+      branch: entrant.branch || "",
+      tierId: tier.id,
+      tierName: tier.name,
+      prizeName: tier.prize,
+      status: "won", // won, forfeited
+      forfeitReason: "",
+    };
+
+    try {
+      const winnerPath = `grand_winners/${winner.serial}`;
+      await backend.runTransaction(async (transaction) => {
+        // 以 grand_draw/state 的 nextDrawIndex 保留抽獎次序；另一個畫面先抽走這一次時本機名單已過期
+        const state = await transaction.get("grand_draw/state");
+        if ((state?.nextDrawIndex ?? 0) !== drawIndex) {
+          throw new Error("其他畫面已經抽出新的得獎者，請重新載入名單");
+        }
+        if (await transaction.get(winnerPath)) {
+          throw new Error(`序號 ${winner.serial} 已經中獎過`);
+        }
+        const lastAuditId = appendAuditLog(transaction, {
+          targetType: "grand_winners",
+          targetId: winner.serial,
+          branch: winner.branch,
+          action: "grandDraw",
+          before: null,
+          after: { tierName: winner.tierName, phone: winner.phone },
+        });
+        transaction.set(winnerPath, {
+          ...winner,
+          drawnAt: backend.serverTimestamp(),
+          lastAuditId,
+        });
+        // 與得獎者共用同一筆稽核紀錄
+        transaction.update("grand_draw/state", {
+          nextDrawIndex: drawIndex + 1,
+          lastAuditId,
+        });
+      });
+
+      const saved = {
+        ...winner,
+        id: winner.serial,
+        drawnAt: { seconds: Math.floor(Date.now() / 1000) },
+      };
+      setGrandWinners((prev) => [...prev, saved]);
+      setGrandDrawState((prev) => ({ ...prev, nextDrawIndex: drawIndex + 1 }));
+      return saved;
+    } catch (err) {
+      console.error("Grand draw error:", err);
+      alert(describeStorageError(err, "抽獎"));
+      return null;
+    }
+  };
+
+  // 取得 drand 第 beaconRound 回合亂數並寫入 grand_draw/state，回傳更新後的 state
+  const recordGrandDrawBeacon = async () => {
+    const beaconRandomness = await fetchBeaconRandomness(
+      grandDrawState.beaconRound,
+    );
+    const batch = backend.batch();
+    const lastAuditId = appendAuditLog(batch, {
+      targetType: "grand_draw",
+      targetId: "state",
+      action: "grandDrawBeacon",
+      before: { beaconRandomness: null },
+      after: { beaconRandomness },
+    });
+    batch.update("grand_draw/state", { beaconRandomness, lastAuditId });
+    await batch.commit();
+    const state = { ...grandDrawState, beaconRandomness };
+    setGrandDrawState(state);
+    return state;
+  };
+
+  // 抽獎前：產生種子，公開種子雜湊、參加名單雜湊與之後才會產生的 drand 回合；種子只保存在本機直到抽完公開
+  const commitGrandDraw = async () => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
+    const serials = getGrandDrawSerials(grandEntrants);
+    if (
+      !confirm(
+        `將以目前 ${serials.length} 筆序號產生抽獎種子，之後名單不得再變動。確定嗎？`,
+      )
+    ) {
+      return;
+    }
+
+    try {
+      const seed = generateDrawSeed();
+      const state = {
+        algorithm: GRAND_DRAW_ALGORITHM,
+        seedHash: await sha256Hex(seed),
+        beaconRound: getBeaconRound(Date.now() + GRAND_DRAW_BEACON_DELAY_MS),
+        entrantsHash: await hashSerials(serials),
+        entrantCount: serials.length,
+        nextDrawIndex: 0,
+      };
+      await backend.runTransaction(async (transaction) => {
+        if (await transaction.get("grand_draw/state")) {
+          throw new Error("已經產生過抽獎種子");
+        }
+        const lastAuditId = appendAuditLog(transaction, {
+          targetType: "grand_draw",
+          targetId: "state",
+          action: "grandDrawCommit",
+          before: null,
+          after: state,
+        });
+        transaction.set("grand_draw/state", {
+          ...state,
+          committedAt: backend.serverTimestamp(),
+          lastAuditId,
+        });
+      });
+
+      localStorage.setItem(`grandDrawSeed:${appId}`, seed);
+      setGrandDrawState({
+        ...state,
+        committedAt: { seconds: Math.floor(Date.now() / 1000) },
+      });
+      setGrandDrawSeed(seed);
+      alert(
+        `✅ 已公開種子雜湊，drand 第 ${state.beaconRound} 回合產生後（約 1 分鐘）即可開始抽獎。\n\n請另外抄寫保存種子（換電腦時需要）：\n${seed}`,
+      );
+    } catch (err) {
+      console.error("Commit grand draw error:", err);
+      alert(describeStorageError(err, "產生種子"));
+    }
+  };
+
+  // 換電腦或清除瀏覽器資料後，手動輸入抄寫的種子（需符合公開的雜湊）
+  const restoreGrandDrawSeed = async () => {
+    const seed = (prompt("請輸入抽獎種子：") || "").trim();
+    if (!seed) return;
+    if ((await sha256Hex(seed)) !== grandDrawState?.seedHash) {
+      alert("種子與公開的雜湊不符");
+      return;
+    }
+    localStorage.setItem(`grandDrawSeed:${appId}`, seed);
+    setGrandDrawSeed(seed);
+  };
+
+  // 抽獎結束後公開種子，公開後不能再抽
+  const revealGrandDrawSeed = async () => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+    if (!confirm("公開種子後就不能再抽獎（包含未到場重抽），確定嗎？")) {
+      return;
+    }
+
+    try {
+      const batch = backend.batch();
+      const lastAuditId = appendAuditLog(batch, {
+        targetType: "grand_draw",
+        targetId: "state",
+        action: "grandDrawReveal",
+        before: { seed: null },
+        after: { seed: grandDrawSeed },
+      });
+      batch.update("grand_draw/state", {
+        seed: grandDrawSeed,
+        revealedAt: backend.serverTimestamp(),
+        lastAuditId,
+      });
+      await batch.commit();
+      localStorage.removeItem(`grandDrawSeed:${appId}`);
+      setGrandDrawState((prev) => ({ ...prev, seed: grandDrawSeed }));
+      setGrandDrawSeed(null);
+    } catch (err) {
+      console.error("Reveal seed error:", err);
+      alert(describeStorageError(err, "公開種子"));
+    }
+  };
+
+  // 匯出抽獎紀錄（JSON），可用 functions/scripts/verify-grand-draw.js 離線驗證
+  const exportGrandDraw = () => {
+    const data = {
+      algorithm: GRAND_DRAW_ALGORITHM,
+      committedAt: grandDrawState?.committedAt
+        ? new Date(grandDrawState.committedAt.seconds * 1000).toISOString()
+        : null,
+      seedHash: grandDrawState?.seedHash || null,
+      beaconRound: grandDrawState?.beaconRound ?? null,
+      beaconRandomness: grandDrawState?.beaconRandomness || null,
+      seed: grandDrawState?.seed || null,
+      entrantsHash: grandDrawState?.entrantsHash || null,
+      entrants: getGrandDrawSerials(grandEntrants),
+      draws: grandWinners.map((w) => ({
+        drawIndex: w.drawIndex,
+        serial: w.serial,
+        tierName: w.tierName,
+        status: w.status,
+      })),
+    };
+    const blob = new Blob([JSON.stringify(data, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `grand-draw-${appId}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // 得獎者未到場：保留紀錄並標記放棄原因，之後由畫面重抽同一獎項
+  const forfeitGrandWinner = async (winner, reason) => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return false;
+    }
+
+    try {
+      const batch = backend.batch();
+      const lastAuditId = appendAuditLog(batch, {
+        targetType: "grand_winners",
+        targetId: winner.id,
+        branch: winner.branch,
+        action: "grandForfeit",
+        before: {
+          status: winner.status,
+          forfeitReason: winner.forfeitReason || "",
+        },
+        after: { status: "forfeited", forfeitReason: reason },
+      });
+      batch.update(`grand_winners/${winner.id}`, {
+        status: "forfeited",
+        forfeitReason: reason,
+        forfeitedAt: backend.serverTimestamp(),
+        lastAuditId,
+      });
+      await batch.commit();
+      setGrandWinners((prev) =>
+        prev.map((w) =>
+          w.id === winner.id
+            ? { ...w, status: "forfeited", forfeitReason: reason }
+            : w,
+        ),
+      );
+      return true;
+    } catch (err) {
+      console.error("Forfeit winner error:", err);
+      alert(describeStorageError(err, "更新得獎者"));
+      return false;
+    }
+  };
+
+  // 儲存活動設定，成功回傳 true
+  const saveCampaign = async (draft) => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return false;
+    }
+
+    try {
+      const usageErrors = await findCampaignUsageErrors(
+        campaign,
+        draft,
+        (where) => backend.count("orders", { where }),
+      );
+      if (usageErrors.length > 0) {
+        alert(usageErrors.join("\n"));
+        return false;
+      }
+
+      // 稽核紀錄只保存有變動的欄位
+      const next = { ...draft };
+      delete next.lastAuditId;
+      const changedKeys = Object.keys(next).filter(
+        (key) => JSON.stringify(next[key]) !== JSON.stringify(campaign[key]),
+      );
+      const pick = (obj) =>
+        Object.fromEntries(changedKeys.map((key) => [key, obj[key] ?? null]));
+
+      const batch = backend.batch();
+      const lastAuditId = appendAuditLog(batch, {
+        targetType: "config",
+        targetId: "campaign",
+        action: "campaign",
+        before: pick(campaign),
+        after: pick(next),
+      });
+      batch.set("config/campaign", { ...next, lastAuditId });
+      await batch.commit();
+      setCampaign(draft);
+      setCampaignError("");
+      setFormData(getInitialFormData(draft));
+      return true;
+    } catch (err) {
+      console.error("Save campaign error:", err);
+      alert(describeStorageError(err, "儲存設定"));
+      return false;
+    }
+  };
+
+  // 下載 Excel 報表（CSV，含 UTF-8 BOM 供 Excel 正確顯示中文）
+  // 只包含工作人員負責分店的訂單，並套用目前的篩選列條件
+  const downloadExcelReport = async () => {
+    if (!backend) {
+      alert(STORAGE_NOT_READY);
+      return;
+    }
+
+    const ordersQuery = getScopedOrdersQuery(staff, orderFilters);
+    if (!ordersQuery) {
+      alert("此帳號沒有可下載的分店資料");
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const rows = await backend.getDocs("orders", ordersQuery);
+
+      // 依時間戳降序
+      rows.sort(
+        (a, b) => (b.timestamp?.seconds || 0) - (a.timestamp?.seconds || 0),
+      );
+
+      const headers = [
+        "登錄時間",
+        "會員電話",
+        "分店",
+        "包廂",
+        "日期",
+        "時長(小時)",
+        "大獎資格",
+        "抽獎序號",
+        "刮刮樂獎項",
+        "刮開時間",
+        "已發獎",
+        "通知狀態",
+        "兌換碼",
+        "兌換期限",
+        "兌換狀態",
+        "備註",
+      ];
+      const escapeCsv = (v) => {
+        const s = (v == null ? "" : String(v)).replace(/"/g, '""');
+        return /[",\n\r]/.test(s) ? `"${s}"` : s;
+      };
+
+      const toRow = (row) =>
+        [
+          row.timestamp
+            ? new Date(row.timestamp.seconds * 1000).toLocaleString("zh-TW")
+            : "",
+          row.phone || "",
+          row.branch || "",
+          row.room || "",
+          row.date || "",
+          row.duration ?? "",
+          row.isGrandEligible ? "是" : "否",
+          row.grandDrawSerial || "",
+          row.scratchPrizeName || "",
+          row.revealedAt
+            ? new Date(row.revealedAt.seconds * 1000).toLocaleString("zh-TW")
+            : "",
+          row.prizeSent ? "是" : "否",
+          NOTIFY_STATUS_LABELS[row.notifyStatus] || "",
+          formatCouponCode(row.couponCode),
+          row.couponExpiresAt
+            ? new Date(row.couponExpiresAt.seconds * 1000).toLocaleString(
+                "zh-TW",
+              )
+            : "",
+          COUPON_STATUS_LABELS[getCouponStatus(getRowCoupon(row))] || "",
+          (row.note || "").replace(/\r?\n/g, " "),
+        ]
+          .map(escapeCsv)
+          .join(",");
+
+      const csvContent =
+        "\uFEFF" +
+        headers.map(escapeCsv).join(",") +
+        "\n" +
+        rows.map(toRow).join("\n");
+      const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8" });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `抽獎報表_${
+        orderFilters.branch ||
+        (isOwner ? "全部分店" : getStaffBranches(staff, campaign).join("_"))
+      }${hasOrderFilters(orderFilters) ? "_篩選" : ""}_${getTodayDateString()}.csv`;
+      a.click();
+      URL.revokeObjectURL(url);
+      alert(`✅ 已下載 ${rows.length} 筆資料`);
+    } catch (err) {
+      console.error("Download report error:", err);
+      alert(describeStorageError(err, "下載報表"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // --- Render Views ---
+
+  if (!campaign) {
+    return (
+      <div className="min-h-screen bg-red-900 flex items-center justify-center text-yellow-200">
+        <Loader2 className="animate-spin w-8 h-8" />
+      </div>
+    );
+  }
+
+  if (view === "home") {
+    const campaignStatus = getCampaignStatus(campaign, now);
+    const isOpen = campaignStatus === "open" && !campaignError;
+    const lockedClass = isOpen ? "" : " opacity-70 cursor-not-allowed";
+
+    return (
+      <div className="min-h-screen bg-red-900 flex flex-col items-center justify-start p-4 font-sans text-yellow-50 overflow-hidden relative">
+        {/* Background Decorations */}
+        <div className="absolute top-0 left-0 w-32 h-32 bg-yellow-500 rounded-full blur-3xl opacity-20 -translate-x-10 -translate-y-10"></div>
+        <div className="absolute bottom-0 right-0 w-48 h-48 bg-red-600 rounded-full blur-3xl opacity-30 translate-x-10 translate-y-10"></div>
+
+        {/* Header */}
+        <div className="text-center mt-8 mb-6 z-10">
+          <h2 className="text-xl font-bold tracking-widest text-yellow-200 mb-1">
+            桃園闆娘麻將館
+          </h2>
+          <h1 className="text-4xl font-extrabold text-transparent bg-clip-text bg-gradient-to-b from-yellow-300 to-yellow-600 drop-shadow-sm">
+            一起慶過年
+          </h1>
+          <p className="mt-2 text-sm text-yellow-100 opacity-90">
+            消費滿{campaign.grandMinDuration}小時 抽大獎{" "}
+            {campaign.grandPrizes[0]?.prize}
+          </p>
+          <div className="mt-4 flex flex-wrap justify-center gap-2 text-xs text-red-200">
+            {campaign.grandPrizes.slice(1).map((g) => (
+              <span
+                key={g.id}
+                className="bg-red-800 px-2 py-1 rounded border border-red-700"
+              >
+                {g.name} {g.prize}
+              </span>
+            ))}
           </div>
         </div>
 
+        {/* Campaign Status */}
+        {campaignStatus === "upcoming" && (
+          <div className="w-full max-w-md mb-4 bg-yellow-500/10 border border-yellow-500/40 rounded-2xl p-4 text-center z-10">
+            <div className="text-xs text-yellow-200 mb-1">距離活動開始還有</div>
+            <div className="text-3xl font-mono font-black text-yellow-300 tracking-widest">
+              {formatCountdown(Date.parse(campaign.startAt) - now)}
+            </div>
+            <div className="text-xs text-red-200 mt-1">
+              {new Date(campaign.startAt).toLocaleString("zh-TW")} 開放登錄
+            </div>
+          </div>
+        )}
+        {campaignStatus === "closed" && (
+          <div className="w-full max-w-md mb-4 bg-red-950/50 border border-yellow-600/50 rounded-2xl p-4 text-center z-10">
+            <div className="text-lg font-bold text-yellow-300">
+              活動已結束，感謝您的參與！
+            </div>
+            {campaign.winnersUrl ? (
+              <a
+                href={campaign.winnersUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-block mt-2 px-4 py-2 bg-yellow-500 hover:bg-yellow-400 text-red-900 text-sm font-bold rounded-full transition-colors"
+              >
+                🏆 查看得獎名單
+              </a>
+            ) : (
+              <div className="text-xs text-red-200 mt-1">
+                得獎名單將於直播抽獎後公布
+              </div>
+            )}
+          </div>
+        )}
+
+        {(queuedEntries.length > 0 || syncOutcomes.length > 0) && (
+          <button
+            onClick={() => setView("pending")}
+            className="w-full max-w-md mb-4 bg-yellow-500/10 border border-yellow-500/40 rounded-2xl p-3 text-sm text-yellow-200 z-10 flex items-center justify-center gap-2"
+          >
+            {syncing && <Loader2 className="animate-spin w-4 h-4" />}
+            {queuedEntries.length > 0
+              ? `有 ${queuedEntries.length} 筆登錄等待網路恢復後送出`
+              : "暫存的登錄已處理完成"}
+            ，點此查看
+          </button>
+        )}
+
         {/* Form Card */}
         <div className="w-full max-w-md bg-white/10 backdrop-blur-md border border-yellow-500/30 rounded-2xl p-6 shadow-2xl z-10">
           <div className="flex items-center gap-2 mb-4 text-yellow-300 border-b border-yellow-500/20 pb-2">
@@ -892,6 +2358,12 @@ function App() {
             </span>
           </div>
 
+          {campaignError && (
+            <div className="mb-4 bg-red-500/20 border border-red-500 text-red-200 text-xs p-2 rounded flex items-center gap-2">
+              <XCircle size={14} /> {campaignError}
+            </div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-4">
             <div>
               <label className="block text-xs text-yellow-200 mb-1">
@@ -904,8 +2376,8 @@ function App() {
                 onChange={(e) =>
                   setFormData({ ...formData, phone: e.target.value })
                 }
-                disabled
-                className="w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 placeholder-red-400/50 transition-colors opacity-70 cursor-not-allowed"
+                disabled={!isOpen}
+                className={`w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 placeholder-red-400/50 transition-colors${lockedClass}`}
                 placeholder="請輸入會員電話 (09xxxxxxxx)"
                 required
               />
@@ -920,16 +2392,16 @@ function App() {
                 <input
                   type="date"
                   value={formData.date}
-                  min={getFebruaryDateRange().min}
-                  max={getFebruaryDateRange().max}
+                  min={campaign.dateRange.min}
+                  max={campaign.dateRange.max}
                   onChange={(e) => {
                     const v = e.target.value;
-                    const { min, max } = getFebruaryDateRange();
+                    const { min, max } = campaign.dateRange;
                     const clamped = v < min ? min : v > max ? max : v;
                     setFormData({ ...formData, date: clamped });
                   }}
-                  disabled
-                  className="w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 [color-scheme:dark] opacity-70 cursor-not-allowed"
+                  disabled={!isOpen}
+                  className={`w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 [color-scheme:dark]${lockedClass}`}
                   required
                 />
               </div>
@@ -941,19 +2413,19 @@ function App() {
                   value={formData.branch}
                   onChange={(e) => {
                     const newBranch = e.target.value;
-                    const newRooms = BRANCH_ROOMS[newBranch] || [];
+                    const newRooms = getBranchRooms(campaign, newBranch);
                     setFormData({
                       ...formData,
                       branch: newBranch,
                       room: newRooms[0] || "",
                     });
                   }}
-                  disabled
-                  className="w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 appearance-none opacity-70 cursor-not-allowed"
+                  disabled={!isOpen}
+                  className={`w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 appearance-none${lockedClass}`}
                 >
-                  {BRANCHES.map((b) => (
-                    <option key={b} value={b}>
-                      {b}
+                  {campaign.branches.map((b) => (
+                    <option key={b.name} value={b.name}>
+                      {b.name}
                     </option>
                   ))}
                 </select>
@@ -970,8 +2442,8 @@ function App() {
                   onChange={(e) =>
                     setFormData({ ...formData, room: e.target.value })
                   }
-                  disabled
-                  className="w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 appearance-none opacity-70 cursor-not-allowed"
+                  disabled={!isOpen}
+                  className={`w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 appearance-none${lockedClass}`}
                 >
                   {getCurrentRooms().map((r) => (
                     <option key={r} value={r}>
@@ -992,10 +2464,10 @@ function App() {
                       duration: parseInt(e.target.value),
                     })
                   }
-                  disabled
-                  className="w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 appearance-none opacity-70 cursor-not-allowed"
+                  disabled={!isOpen}
+                  className={`w-full h-12 box-border bg-red-950/50 border border-red-700 rounded-lg px-3 py-0 text-base text-white focus:outline-none focus:border-yellow-400 appearance-none${lockedClass}`}
                 >
-                  {DURATIONS.map((d) => (
+                  {campaign.durations.map((d) => (
                     <option key={d.label} value={d.val}>
                       {d.label}
                     </option>
@@ -1010,21 +2482,44 @@ function App() {
               </div>
             )}
 
-            <button
-              type="submit"
-              disabled
-              className="w-full bg-gray-500 text-gray-300 font-bold py-3 rounded-lg shadow cursor-not-allowed flex justify-center items-center gap-2 mt-4 opacity-80"
-            >
-              <Ticket size={20} /> 活動已結束
-            </button>
+            {isOpen ? (
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full bg-gradient-to-r from-yellow-400 to-yellow-600 hover:from-yellow-300 hover:to-yellow-500 text-red-900 font-bold py-3 rounded-lg shadow-lg flex justify-center items-center gap-2 mt-4 transition-colors disabled:opacity-60"
+              >
+                {loading ? (
+                  <Loader2 className="animate-spin w-5 h-5" />
+                ) : (
+                  <Ticket size={20} />
+                )}
+                登錄並刮刮樂
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled
+                className="w-full bg-gray-500 text-gray-300 font-bold py-3 rounded-lg shadow cursor-not-allowed flex justify-center items-center gap-2 mt-4 opacity-80"
+              >
+                <Ticket size={20} />{" "}
+                {campaignStatus === "upcoming" ? "活動尚未開始" : "活動已結束"}
+              </button>
+            )}
             <p className="text-center text-xs text-red-300 mt-2">
               不論消費時數都可登錄刮刮樂
-              <br />
-              滿4小時以上即具備iPhone 17抽獎資格
+              <br />滿{campaign.grandMinDuration}小時以上即具備
+              {campaign.grandPrizes[0]?.prize}抽獎資格
             </p>
           </form>
         </div>
 
+        <button
+          onClick={() => setView("lookup")}
+          className="mt-4 z-10 text-sm text-yellow-200 underline underline-offset-4 hover:text-yellow-100"
+        >
+          🔍 查詢我的登錄紀錄
+        </button>
+
         {/* Footer */}
         <div className="mt-auto py-6 flex flex-col items-center">
           <p className="text-yellow-500/50 text-xs">© 2026 桃園闆娘麻將館</p>
@@ -1034,7 +2529,7 @@ function App() {
         <div className="absolute bottom-4 right-4 z-50">
           <MahjongIcon
             className="w-10 h-12 hover:scale-110 transition-transform"
-            onClick={() => setView("adminLogin")}
+            onClick={openAdmin}
           />
         </div>
       </div>
@@ -1046,7 +2541,7 @@ function App() {
     return (
       <ScratchCard
         prize={scratchResult}
-        onComplete={() => setView("result")}
+        onComplete={handleScratchComplete}
         onBack={() => setView("home")}
       />
     );
@@ -1080,9 +2575,9 @@ function App() {
               </>
             ) : (
               <div className="text-gray-400 text-sm py-2">
-                本次時長未滿4小時
+                本次時長未滿{campaign.grandMinDuration}小時
                 <br />
-                無法參加iPhone 17抽獎
+                無法參加{campaign.grandPrizes[0]?.prize}抽獎
               </div>
             )}
           </div>
@@ -1104,12 +2599,27 @@ function App() {
                 將於隔天 23:59 內發送至您的手機
               </p>
             )}
+            {coupon && (
+              <div className="mt-4 bg-black/20 rounded-lg p-3">
+                <div className="text-xs text-yellow-200">
+                  兌換碼（請於櫃台出示）
+                </div>
+                <div className="text-3xl font-mono font-bold tracking-widest text-white my-1">
+                  {formatCouponCode(coupon.code)}
+                </div>
+                <div className="text-xs text-yellow-100/70">
+                  兌換期限：
+                  {new Date(coupon.expiresAt).toLocaleString("zh-TW")} 前
+                </div>
+              </div>
+            )}
           </div>
 
           <button
             onClick={() => {
               // Reset form
               setFormData({ ...formData, phone: "" });
+              clearScratchSession();
               setView("home");
             }}
             className="px-8 py-3 bg-red-800 hover:bg-red-700 border border-yellow-600 rounded-full text-yellow-100 font-bold transition-colors"
@@ -1117,7 +2627,20 @@ function App() {
             返回首頁
           </button>
 
-          <p className="mt-6 text-xs text-red-400/60">
+          {lookupCode && (
+            <p className="mt-6 text-sm text-yellow-100/80">
+              查詢碼：
+              <span className="font-mono font-bold text-white tracking-widest">
+                {lookupCode}
+              </span>
+              <br />
+              <span className="text-xs text-red-300">
+                日後可憑手機號碼與查詢碼查看所有登錄紀錄
+              </span>
+            </p>
+          )}
+
+          <p className="mt-6 text-xs text-red-400/60">
             訂單編號: {orderId?.slice(0, 8)}...
           </p>
         </div>
@@ -1125,8 +2648,43 @@ function App() {
     );
   }
 
+  // --- My Entries Lookup View（客人查詢登錄紀錄） ---
+  if (view === "lookup") {
+    return (
+      <MyEntriesLookup
+        initialPhone={formData.phone}
+        onLookup={lookupMyEntries}
+        onBack={() => setView("home")}
+      />
+    );
+  }
+
+  // --- Pending Entries View（離線暫存的登錄） ---
+  if (view === "pending") {
+    return (
+      <PendingEntries
+        entries={queuedEntries}
+        outcomes={syncOutcomes}
+        online={online}
+        syncing={syncing}
+        onRetry={() => syncQueuedEntries({ force: true })}
+        onCancel={cancelQueuedEntry}
+        onStart={(outcome) => {
+          dismissSyncOutcome(outcome.id);
+          startScratch(outcome.data);
+        }}
+        onDismiss={dismissSyncOutcome}
+        onBack={() => setView("home")}
+      />
+    );
+  }
+
   // --- Admin Views ---
-  if (view === "adminLogin") {
+  // 後台畫面需登入工作人員帳號（實際權限由 Firestore 安全規則把關）
+  if (
+    view === "adminLogin" ||
+    ((view === "admin" || view === "grandDraw") && !staff)
+  ) {
     return (
       <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
         <div className="bg-gray-800 p-8 rounded-xl w-full max-w-sm border border-gray-700">
@@ -1134,12 +2692,23 @@ function App() {
             <History /> 後台管理登入
           </h2>
           <form onSubmit={handleAdminLogin}>
+            <input
+              type="email"
+              value={adminEmail}
+              onChange={(e) => setAdminEmail(e.target.value)}
+              placeholder="工作人員 Email"
+              autoComplete="username"
+              className="w-full bg-gray-900 border border-gray-600 rounded p-3 text-white mb-3 focus:border-blue-500 focus:outline-none"
+              required
+            />
             <input
               type="password"
               value={adminPass}
               onChange={(e) => setAdminPass(e.target.value)}
-              placeholder="請輸入管理密碼"
+              placeholder="密碼"
+              autoComplete="current-password"
               className="w-full bg-gray-900 border border-gray-600 rounded p-3 text-white mb-4 focus:border-blue-500 focus:outline-none"
+              required
             />
             <div className="flex gap-2">
               <button
@@ -1151,8 +2720,10 @@ function App() {
               </button>
               <button
                 type="submit"
-                className="flex-1 py-2 bg-blue-600 text-white rounded hover:bg-blue-500"
+                disabled={loading}
+                className="flex-1 py-2 bg-blue-600 text-white rounded hover:bg-blue-500 disabled:opacity-50 flex justify-center items-center gap-2"
               >
+                {loading && <Loader2 className="animate-spin w-4 h-4" />}
                 登入
               </button>
             </div>
@@ -1168,12 +2739,31 @@ function App() {
         {/* Admin Header */}
         <div className="bg-white shadow px-6 py-4 flex justify-between items-center sticky top-0 z-20">
           <h2 className="text-xl font-bold text-gray-800">麻將館活動後台</h2>
-          <button
-            onClick={() => setView("home")}
-            className="text-sm text-gray-500 hover:text-red-500"
-          >
-            退出系統
-          </button>
+          <div className="flex items-center gap-4">
+            {isOwner && (
+              <button
+                onClick={fetchGrandDrawData}
+                disabled={loading}
+                className="px-4 py-2 bg-red-700 hover:bg-red-600 disabled:opacity-50 text-yellow-100 text-sm font-bold rounded-lg transition-colors"
+              >
+                🎰 直播開獎
+              </button>
+            )}
+            <span className="text-sm text-gray-500">
+              {staff?.name || staff?.email}
+              <span className="ml-2 px-2 py-0.5 rounded bg-gray-100 text-xs">
+                {STAFF_ROLES[staff?.role] || STAFF_ROLES.viewer}
+                {!isOwner &&
+                  `．${getStaffBranches(staff, campaign).join("、") || "未指派分店"}`}
+              </span>
+            </span>
+            <button
+              onClick={handleAdminLogout}
+              className="text-sm text-gray-500 hover:text-red-500"
+            >
+              登出
+            </button>
+          </div>
         </div>
 
         <div className="max-w-6xl mx-auto p-4 md:p-6">
@@ -1188,7 +2778,11 @@ function App() {
                     : "text-gray-500 hover:text-gray-700"
                 }`}
               >
-                大獎抽獎名單 ({adminTab === "grand" ? adminData.length : "..."})
+                大獎抽獎名單 (
+                {adminTab === "grand"
+                  ? `${adminData.length}${adminHasMore ? "+" : ""}`
+                  : "..."}
+                )
               </button>
               <button
                 onClick={() => fetchAdminData("instant")}
@@ -1199,8 +2793,43 @@ function App() {
                 }`}
               >
                 刮刮樂領獎資料 (
-                {adminTab === "instant" ? adminData.length : "..."})
+                {adminTab === "instant"
+                  ? `${adminData.length}${adminHasMore ? "+" : ""}`
+                  : "..."}
+                )
+              </button>
+              <button
+                onClick={() => fetchAdminData("redeem")}
+                className={`pb-2 px-4 font-medium ${
+                  adminTab === "redeem"
+                    ? "text-blue-600 border-b-2 border-blue-600"
+                    : "text-gray-500 hover:text-gray-700"
+                }`}
+              >
+                櫃台兌換
+              </button>
+              <button
+                onClick={() => fetchAdminData("dashboard")}
+                className={`pb-2 px-4 font-medium ${
+                  adminTab === "dashboard"
+                    ? "text-blue-600 border-b-2 border-blue-600"
+                    : "text-gray-500 hover:text-gray-700"
+                }`}
+              >
+                統計
               </button>
+              {isOwner && (
+                <button
+                  onClick={() => fetchAdminData("settings")}
+                  className={`pb-2 px-4 font-medium ${
+                    adminTab === "settings"
+                      ? "text-blue-600 border-b-2 border-blue-600"
+                      : "text-gray-500 hover:text-gray-700"
+                  }`}
+                >
+                  活動設定
+                </button>
+              )}
             </div>
             <button
               onClick={downloadExcelReport}
@@ -1213,186 +2842,1601 @@ function App() {
             </button>
           </div>
 
+          {/* 篩選列 */}
+          {ADMIN_TAB_FILTERS[adminTab] && (
+            <OrderFilterBar
+              campaign={campaign}
+              branches={getStaffBranches(staff, campaign)}
+              value={orderFilters}
+              onApply={applyOrderFilters}
+            />
+          )}
+
+          {/* 限量獎項庫存 */}
+          {adminTab === "instant" && !loading && (
+            <div className="mb-4 flex flex-wrap gap-2 text-xs">
+              {campaign.prizes
+                .filter((p) => p.limit !== -1)
+                .map((p) => {
+                  const used = prizeCounts[p.id] || 0;
+                  return (
+                    <span
+                      key={p.id}
+                      className={`px-3 py-1 rounded-full border ${
+                        used >= p.limit
+                          ? "bg-red-50 text-red-600 border-red-200"
+                          : "bg-white text-gray-600 border-gray-200"
+                      }`}
+                    >
+                      {p.name}：{used} / {p.limit}
+                      {used >= p.limit && "（已發完）"}
+                    </span>
+                  );
+                })}
+              <span className="px-3 py-1 text-gray-400">
+                已發完時改發「
+                {
+                  campaign.prizes.find((p) => p.id === campaign.fallbackPrizeId)
+                    ?.name
+                }
+                」
+              </span>
+            </div>
+          )}
+
+          {/* 批次發獎 */}
+          {adminTab === "instant" && Object.keys(selectedRows).length > 0 && (
+            <div className="mb-4 bg-blue-50 border border-blue-200 rounded-lg px-4 py-2 flex flex-wrap items-center gap-2 text-sm sticky top-20 z-10">
+              <span className="font-bold text-blue-700">
+                已選 {Object.keys(selectedRows).length} 筆
+              </span>
+              {adminHasMore && (
+                <button
+                  onClick={selectAllFiltered}
+                  disabled={loadingMore}
+                  className="text-blue-600 underline disabled:opacity-50"
+                >
+                  選取全部符合條件的訂單
+                </button>
+              )}
+              <div className="flex-1" />
+              <button
+                onClick={() => runBulkAction("sent")}
+                disabled={bulkProgress?.running}
+                className="px-3 py-1 bg-green-600 hover:bg-green-500 disabled:opacity-50 text-white rounded"
+              >
+                標記已發送
+              </button>
+              <button
+                onClick={() => runBulkAction("unsent")}
+                disabled={bulkProgress?.running}
+                className="px-3 py-1 bg-gray-500 hover:bg-gray-400 disabled:opacity-50 text-white rounded"
+              >
+                標記未發送
+              </button>
+              <button
+                onClick={() => runBulkAction("note")}
+                disabled={bulkProgress?.running}
+                className="px-3 py-1 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white rounded"
+              >
+                附加備註
+              </button>
+              <button
+                onClick={() => setSelectedRows({})}
+                className="px-3 py-1 text-gray-500 hover:text-gray-800"
+              >
+                取消選取
+              </button>
+            </div>
+          )}
+
           {/* Table Container */}
-          <div className="bg-white rounded-lg shadow overflow-hidden">
-            {loading ? (
+          {adminTab === "redeem" ? (
+            <CouponRedeemPanel
+              campaign={campaign}
+              staff={staff}
+              onLookup={lookupCoupon}
+              onRedeem={redeemCoupon}
+            />
+          ) : adminTab === "dashboard" ? (
+            loading ? (
               <div className="p-12 flex justify-center text-gray-400">
                 <Loader2 className="animate-spin w-8 h-8" />
               </div>
-            ) : adminData.length === 0 ? (
-              <div className="p-12 text-center text-gray-400">目前沒有資料</div>
             ) : (
-              <div className="overflow-x-auto">
-                <table className="w-full text-left border-collapse">
-                  <thead className="bg-gray-50 text-gray-600 text-sm uppercase">
-                    <tr>
-                      <th className="p-4">登錄時間</th>
-                      <th className="p-4">會員電話</th>
-                      <th className="p-4">預約資訊</th>
-                      {adminTab === "grand" ? (
-                        <th className="p-4 text-blue-600">抽獎序號</th>
-                      ) : (
-                        <>
-                          <th className="p-4 text-green-600">中獎項目</th>
-                          <th className="p-4 text-center">狀態</th>
-                        </>
-                      )}
-                      <th className="p-4">備註</th>
-                    </tr>
-                  </thead>
-                  <tbody className="divide-y divide-gray-100 text-sm">
-                    {adminData.map((row) => (
-                      <tr key={row.id} className="hover:bg-gray-50">
-                        <td className="p-4 text-gray-500">
-                          {row.timestamp
-                            ? new Date(
-                                row.timestamp.seconds * 1000,
-                              ).toLocaleString("zh-TW")
-                            : "剛剛"}
-                        </td>
-                        <td className="p-4 font-mono">{row.phone}</td>
-                        <td className="p-4">
-                          <div className="font-bold">
-                            {row.branch || "未填寫"}
-                          </div>
-                          <div className="text-xs text-gray-500">
-                            {row.room || "未填寫"}．{row.date || "未填寫"}
-                          </div>
-                        </td>
+              <CampaignDashboard campaign={campaign} stats={campaignStats} />
+            )
+          ) : adminTab === "settings" ? (
+            loading ? (
+              <div className="p-12 flex justify-center text-gray-400">
+                <Loader2 className="animate-spin w-8 h-8" />
+              </div>
+            ) : (
+              <CampaignEditor campaign={campaign} onSave={saveCampaign} />
+            )
+          ) : (
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              {loading ? (
+                <div className="p-12 flex justify-center text-gray-400">
+                  <Loader2 className="animate-spin w-8 h-8" />
+                </div>
+              ) : adminData.length === 0 ? (
+                <div className="p-12 text-center text-gray-400">
+                  {hasOrderFilters(orderFilters)
+                    ? "沒有符合篩選條件的資料"
+                    : "目前沒有資料"}
+                </div>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-left border-collapse">
+                    <thead className="bg-gray-50 text-gray-600 text-sm uppercase">
+                      <tr>
+                        {adminTab === "instant" && (
+                          <th className="pl-4 py-4 w-8">
+                            <input
+                              type="checkbox"
+                              aria-label="全選"
+                              checked={
+                                adminData.some((row) =>
+                                  canEditBranch(staff, row.branch),
+                                ) &&
+                                adminData
+                                  .filter((row) =>
+                                    canEditBranch(staff, row.branch),
+                                  )
+                                  .every((row) => selectedRows[row.id])
+                              }
+                              onChange={toggleSelectLoaded}
+                            />
+                          </th>
+                        )}
+                        <th className="p-4">登錄時間</th>
+                        <th className="p-4">會員電話</th>
+                        <th className="p-4">預約資訊</th>
                         {adminTab === "grand" ? (
-                          <td className="p-4 font-mono font-bold text-lg text-blue-600">
-                            {row.grandDrawSerial || "-"}
-                          </td>
+                          <th className="p-4 text-blue-600">抽獎序號</th>
                         ) : (
                           <>
-                            <td className="p-4 font-medium text-green-700">
-                              {row.scratchPrizeName || "-"}
-                            </td>
-                            <td className="p-4 text-center">
-                              <button
-                                onClick={() =>
-                                  togglePrizeSent(row.id, row.prizeSent)
-                                }
-                                className={`px-3 py-1 rounded-full text-xs font-bold transition-colors ${
-                                  row.prizeSent
-                                    ? "bg-gray-200 text-gray-500"
-                                    : "bg-green-100 text-green-700 border border-green-200 hover:bg-green-200"
-                                }`}
-                              >
-                                {row.prizeSent ? "已發送" : "未發送"}
-                              </button>
-                            </td>
+                            <th className="p-4 text-green-600">中獎項目</th>
+                            <th className="p-4 text-center">狀態</th>
+                            <th className="p-4">兌換碼</th>
                           </>
                         )}
-                        <td className="p-4">
-                          <NoteEditor
-                            value={row.note || ""}
-                            onSave={(newNote) => updateNote(row.id, newNote)}
-                          />
-                        </td>
+                        <th className="p-4">備註</th>
+                        <th className="p-4 text-center">歷程</th>
                       </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            )}
-          </div>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100 text-sm">
+                      {adminData.map((row) => (
+                        <tr
+                          key={row.id}
+                          className={`transition-colors ${
+                            rowHighlights[row.id]?.type === "new"
+                              ? "bg-yellow-50"
+                              : rowHighlights[row.id]?.type === "changed"
+                                ? "bg-orange-50"
+                                : "hover:bg-gray-50"
+                          }`}
+                        >
+                          {adminTab === "instant" && (
+                            <td className="pl-4 py-4">
+                              <input
+                                type="checkbox"
+                                checked={!!selectedRows[row.id]}
+                                disabled={!canEditBranch(staff, row.branch)}
+                                onChange={() => toggleRowSelected(row)}
+                              />
+                            </td>
+                          )}
+                          <td className="p-4 text-gray-500">
+                            {row.timestamp
+                              ? new Date(
+                                  row.timestamp.seconds * 1000,
+                                ).toLocaleString("zh-TW")
+                              : "剛剛"}
+                          </td>
+                          <td className="p-4 font-mono">
+                            {row.phone}
+                            {rowHighlights[row.id]?.type === "new" && (
+                              <div className="text-xs font-sans font-bold text-yellow-600">
+                                🆕 新登錄
+                              </div>
+                            )}
+                            {rowHighlights[row.id]?.type === "changed" && (
+                              <div className="text-xs font-sans text-orange-600">
+                                ✏️ {rowHighlights[row.id].by || "其他工作人員"}
+                                剛修改
+                              </div>
+                            )}
+                          </td>
+                          <td className="p-4">
+                            <div className="font-bold">
+                              {row.branch || "未填寫"}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              {row.room || "未填寫"}．{row.date || "未填寫"}
+                            </div>
+                          </td>
+                          {adminTab === "grand" ? (
+                            <td className="p-4 font-mono font-bold text-lg text-blue-600">
+                              {row.grandDrawSerial || "-"}
+                            </td>
+                          ) : (
+                            <>
+                              <td className="p-4 font-medium text-green-700">
+                                {row.scratchPrizeName || "-"}
+                                {row.fallbackFromPrizeName && (
+                                  <div className="text-xs font-normal text-orange-500">
+                                    原抽中「{row.fallbackFromPrizeName}
+                                    」已發完，改發此獎
+                                  </div>
+                                )}
+                              </td>
+                              <td className="p-4 text-center">
+                                <button
+                                  onClick={() =>
+                                    togglePrizeSent(row.id, row.prizeSent)
+                                  }
+                                  disabled={!canEditBranch(staff, row.branch)}
+                                  className={`px-3 py-1 rounded-full text-xs font-bold transition-colors disabled:cursor-not-allowed disabled:opacity-60 ${
+                                    row.prizeSent
+                                      ? "bg-gray-200 text-gray-500"
+                                      : "bg-green-100 text-green-700 border border-green-200 hover:bg-green-200"
+                                  }`}
+                                >
+                                  {row.prizeSent ? "已發送" : "未發送"}
+                                </button>
+                                {row.notifyStatus && (
+                                  <div className="text-xs text-gray-400 mt-1 whitespace-nowrap">
+                                    {NOTIFY_STATUS_LABELS[row.notifyStatus]}
+                                  </div>
+                                )}
+                              </td>
+                              <td className="p-4">
+                                <CouponBadge row={row} />
+                              </td>
+                            </>
+                          )}
+                          <td className="p-4">
+                            <NoteEditor
+                              value={row.note || ""}
+                              onSave={(newNote) => updateNote(row.id, newNote)}
+                              readOnly={!canEditBranch(staff, row.branch)}
+                            />
+                          </td>
+                          <td className="p-4 text-center">
+                            <button
+                              onClick={() => openOrderHistory(row)}
+                              className="px-2 py-1 text-xs text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded"
+                              title="查看修改歷程"
+                            >
+                              🕘 歷程
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  {adminHasMore && (
+                    <div className="p-4 text-center border-t border-gray-100">
+                      <button
+                        onClick={loadMoreAdminData}
+                        disabled={loadingMore}
+                        className="px-6 py-2 text-sm text-blue-600 bg-blue-50 hover:bg-blue-100 disabled:opacity-50 rounded-lg inline-flex items-center gap-2"
+                      >
+                        {loadingMore && (
+                          <Loader2 className="animate-spin w-4 h-4" />
+                        )}
+                        載入更多（已顯示 {adminData.length} 筆）
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
         </div>
+
+        {bulkProgress && (
+          <BulkProgressPanel
+            progress={bulkProgress}
+            onClose={() => setBulkProgress(null)}
+          />
+        )}
+
+        {historyOrder && (
+          <AuditHistoryDrawer
+            order={historyOrder}
+            logs={historyLogs}
+            notifyLogs={historyNotifyLogs}
+            loading={historyLoading}
+            onClose={() => setHistoryOrder(null)}
+          />
+        )}
       </div>
     );
   }
 
+  // --- Grand Draw View（直播大螢幕） ---
+  if (view === "grandDraw") {
+    return (
+      <GrandDrawStage
+        campaign={campaign}
+        entrants={grandEntrants}
+        winners={grandWinners}
+        onDraw={drawGrandWinner}
+        onForfeit={forfeitGrandWinner}
+        drawState={grandDrawState}
+        hasSeed={!!grandDrawSeed}
+        onCommit={commitGrandDraw}
+        onRestoreSeed={restoreGrandDrawSeed}
+        onReveal={revealGrandDrawSeed}
+        onExport={exportGrandDraw}
+        onExit={() => setView("admin")}
+      />
+    );
+  }
+
   return null;
 }
 
 // Export App component to global scope for HTML to access
 window.App = App;
 
-// --- Sub-Component: Scratch Card (HTML Canvas) ---
-function ScratchCard({ prize, onComplete, onBack }) {
-  const canvasRef = useRef(null);
-  const containerRef = useRef(null);
-  const [isRevealed, setIsRevealed] = useState(false);
-  const isRevealedRef = useRef(false);
-  const onCompleteRef = useRef(onComplete);
+// --- Sub-Component: Pending Entries（離線暫存、等待送出的登錄） ---
+function PendingEntries({
+  entries,
+  outcomes,
+  online,
+  syncing,
+  onRetry,
+  onCancel,
+  onStart,
+  onDismiss,
+  onBack,
+}) {
+  const describe = (formData) =>
+    `${maskPhone(formData.phone)}．${formData.date}．${formData.branch} ${formData.room}．${formData.duration}小時`;
 
-  useEffect(() => {
-    onCompleteRef.current = onComplete;
-  }, [onComplete]);
+  return (
+    <div className="min-h-screen bg-red-900 flex flex-col items-center p-4 font-sans text-yellow-50">
+      <div className="w-full max-w-md mt-8">
+        <h2 className="text-2xl font-bold text-yellow-300 mb-2 flex items-center gap-2">
+          <History size={22} />{" "}
+          {entries.length > 0 ? "登錄已暫存" : "暫存登錄處理結果"}
+        </h2>
+        {entries.length > 0 && (
+          <p className="text-sm text-yellow-100/80 mb-4">
+            目前網路不穩，登錄資料已安全保存在這支手機，網路恢復後會自動送出並開始刮刮樂。
+            送出前請勿清除瀏覽器資料。
+          </p>
+        )}
+
+        <div
+          className={`mb-4 rounded-lg p-2 text-xs flex items-center gap-2 ${
+            online
+              ? "bg-green-500/20 border border-green-500 text-green-200"
+              : "bg-red-500/20 border border-red-500 text-red-200"
+          }`}
+        >
+          {syncing ? (
+            <Loader2 className="animate-spin w-4 h-4" />
+          ) : online ? (
+            <CheckCircle size={14} />
+          ) : (
+            <XCircle size={14} />
+          )}
+          {syncing
+            ? "正在送出暫存的登錄..."
+            : online
+              ? "網路已連線"
+              : "目前沒有網路連線，恢復後會自動送出"}
+        </div>
 
-  useEffect(() => {
-    isRevealedRef.current = isRevealed;
-  }, [isRevealed]);
+        {outcomes.map((o) => (
+          <div
+            key={o.id}
+            className={`mb-3 rounded-xl p-4 border ${
+              o.ok
+                ? "bg-green-500/10 border-green-500/50"
+                : "bg-red-950/50 border-red-500/50"
+            }`}
+          >
+            <div className="text-xs text-red-200 mb-1">
+              {describe(o.formData)}
+            </div>
+            {o.ok ? (
+              <>
+                <div className="text-green-300 font-bold mb-2">
+                  ✅ 登錄已送出成功
+                </div>
+                <button
+                  onClick={() => onStart(o)}
+                  className="w-full bg-gradient-to-r from-yellow-400 to-yellow-600 text-red-900 font-bold py-2 rounded-lg"
+                >
+                  開始刮刮樂
+                </button>
+              </>
+            ) : (
+              <>
+                <div className="text-red-200 font-bold">❌ 未能完成登錄</div>
+                <div className="text-sm text-yellow-100 mt-1">{o.message}</div>
+                <button
+                  onClick={() => onDismiss(o.id)}
+                  className="mt-2 text-xs text-yellow-200 underline"
+                >
+                  我知道了
+                </button>
+              </>
+            )}
+          </div>
+        ))}
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+        {entries.map((entry) => (
+          <div
+            key={entry.id}
+            className="mb-3 bg-white/10 border border-yellow-500/30 rounded-xl p-4"
+          >
+            <div className="text-xs text-red-200">
+              {describe(entry.formData)}
+            </div>
+            {entry.failed ? (
+              <div className="text-sm text-red-200 font-bold mt-1">
+                ❌ 多次送出失敗，請按「立即重試」或洽櫃台人員
+              </div>
+            ) : (
+              <div className="text-sm text-yellow-200 mt-1">
+                ⏳ 等待送出（暫存於{" "}
+                {new Date(entry.queuedAt).toLocaleTimeString("zh-TW")}）
+              </div>
+            )}
+            {entry.attempts > 0 && (
+              <div className="text-xs text-red-300 mt-1">
+                已重試 {entry.attempts} 次
+                {entry.lastError && `：${entry.lastError}`}
+              </div>
+            )}
+            <button
+              onClick={() => onCancel(entry.id)}
+              className="mt-2 text-xs text-red-300 underline"
+            >
+              取消這筆登錄
+            </button>
+          </div>
+        ))}
 
-    const ctx = canvas.getContext("2d");
-    const container = containerRef.current;
-    if (!container) return;
+        {entries.length === 0 && outcomes.length === 0 && (
+          <div className="text-center text-sm text-yellow-100/70 py-6">
+            沒有等待送出的登錄
+          </div>
+        )}
 
-    // 定義 width 和 height 在外部作用域，讓所有函數都能訪問
-    let width = 288; // 預設值
-    let height = 160; // 預設值
+        <div className="flex gap-3 mt-4">
+          <button
+            onClick={onRetry}
+            disabled={!online || syncing || entries.length === 0}
+            className="flex-1 bg-yellow-500 hover:bg-yellow-400 text-red-900 font-bold py-3 rounded-lg disabled:opacity-50"
+          >
+            立即重試
+          </button>
+          <button
+            onClick={onBack}
+            className="flex-1 bg-red-800 hover:bg-red-700 border border-yellow-600 rounded-lg text-yellow-100 font-bold py-3"
+          >
+            返回首頁
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-    // Wait for container to be rendered
-    const initCanvas = () => {
-      // Set canvas size
-      width = container.offsetWidth || 288; // 72 * 4 = 288px
-      height = container.offsetHeight || 160; // 40 * 4 = 160px
-      canvas.width = width;
-      canvas.height = height;
+// --- Sub-Component: My Entries Lookup（客人查詢登錄紀錄） ---
+function MyEntriesLookup({ initialPhone, onLookup, onBack }) {
+  const [phone, setPhone] = useState(initialPhone || "");
+  const [code, setCode] = useState("");
+  const [entries, setEntries] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
 
-      // Fill with silver overlay
-      ctx.fillStyle = "#C0C0C0"; // Silver
-      ctx.fillRect(0, 0, width, height);
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+    const result = await onLookup(phone.trim(), code.trim());
+    setLoading(false);
+    if (result.error) {
+      setError(result.error);
+      setEntries(null);
+    } else {
+      setEntries(result.entries);
+    }
+  };
 
-      // Add texture/text to overlay
-      ctx.font = "bold 20px sans-serif";
-      ctx.fillStyle = "#909090";
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText("刮開試手氣", width / 2, height / 2);
+  const inputClass =
+    "w-full h-12 bg-red-950/50 border border-red-700 rounded-lg px-3 text-base text-white placeholder-red-400/60 focus:outline-none focus:border-yellow-400";
 
-      // Reset composite operation for drawing
-      ctx.globalCompositeOperation = "source-over";
-    };
+  return (
+    <div className="min-h-screen bg-red-900 flex flex-col items-center p-4 font-sans text-yellow-50">
+      <div className="w-full max-w-md mt-8">
+        <h2 className="text-2xl font-bold text-yellow-300 mb-4 flex items-center gap-2">
+          <Search size={22} /> 查詢我的登錄紀錄
+        </h2>
+        <form
+          onSubmit={handleSubmit}
+          className="bg-red-800/50 border border-red-700 rounded-2xl p-4 space-y-3"
+        >
+          <input
+            type="tel"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            placeholder="手機號碼 09xxxxxxxx"
+            maxLength={10}
+            className={inputClass}
+          />
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="查詢碼或訂單編號"
+            className={`${inputClass} font-mono`}
+          />
+          <p className="text-xs text-red-300">
+            查詢碼顯示於登錄完成畫面；為保護個資，查詢次數有限制
+          </p>
+          {error && (
+            <div className="bg-red-500/20 border border-red-500 text-red-200 text-xs p-2 rounded flex items-center gap-2">
+              <XCircle size={14} /> {error}
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={loading || !phone.trim() || !code.trim()}
+            className="w-full bg-gradient-to-r from-yellow-400 to-yellow-600 hover:from-yellow-300 hover:to-yellow-500 text-red-900 font-bold py-3 rounded-lg shadow-lg flex justify-center items-center gap-2 transition-colors disabled:opacity-60"
+          >
+            {loading && <Loader2 className="animate-spin w-5 h-5" />}
+            查詢
+          </button>
+        </form>
 
-    // Initialize immediately and also on resize
-    initCanvas();
+        {entries && (
+          <div className="mt-6 space-y-3">
+            <div className="text-sm text-yellow-200">
+              共 {entries.length} 筆登錄紀錄
+            </div>
+            {entries.map((e) => (
+              <div
+                key={e.orderId}
+                className="bg-white/10 border border-yellow-500/30 rounded-xl p-4"
+              >
+                <div className="flex justify-between text-xs text-red-200">
+                  <span>
+                    {e.date}．{e.branch} {e.room}．{e.duration}小時
+                  </span>
+                  <span className="font-mono">{e.orderId}</span>
+                </div>
+                <div className="mt-2 flex justify-between items-center">
+                  <span
+                    className={`text-lg font-bold ${
+                      e.prizeType === "win" ? "text-green-300" : "text-gray-300"
+                    }`}
+                  >
+                    {e.prizeName}
+                  </span>
+                  {e.prizeType === "win" && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-black/20">
+                      {e.prizeSent ? "已發送至手機" : "發送處理中"}
+                    </span>
+                  )}
+                </div>
+                {e.couponCode && (
+                  <div className="mt-1 text-sm">
+                    兌換碼{" "}
+                    <span className="font-mono font-bold text-white">
+                      {formatCouponCode(e.couponCode)}
+                    </span>
+                    <span className="ml-2 text-xs text-yellow-100/70">
+                      {COUPON_STATUS_LABELS[e.couponStatus]}
+                      {e.couponStatus === "issued" &&
+                        `．${new Date(e.couponExpiresAt).toLocaleDateString(
+                          "zh-TW",
+                        )} 前兌換`}
+                    </span>
+                  </div>
+                )}
+                <div className="mt-1 text-sm">
+                  大獎抽獎序號{" "}
+                  {e.grandDrawSerial ? (
+                    <span className="font-mono font-bold text-yellow-300 tracking-widest">
+                      {e.grandDrawSerial}
+                    </span>
+                  ) : (
+                    <span className="text-gray-400">無（時長未達資格）</span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
 
-    // Use ResizeObserver or setTimeout to ensure container is ready
-    const resizeObserver = new ResizeObserver(() => {
-      initCanvas();
-    });
-    resizeObserver.observe(container);
+        <div className="text-center mt-8">
+          <button
+            onClick={onBack}
+            className="px-8 py-3 bg-red-800 hover:bg-red-700 border border-yellow-600 rounded-full text-yellow-100 font-bold transition-colors"
+          >
+            返回首頁
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-    let isDrawing = false;
+// --- Sub-Component: Coupon Badge（後台兌換碼欄位） ---
+const COUPON_STATUS_STYLES = {
+  issued: "bg-blue-100 text-blue-700",
+  redeemed: "bg-gray-200 text-gray-500",
+  expired: "bg-red-100 text-red-600",
+};
 
-    const getPos = (e) => {
-      const rect = canvas.getBoundingClientRect();
-      let clientX = e.clientX;
-      let clientY = e.clientY;
+function CouponBadge({ row }) {
+  const status = getCouponStatus(getRowCoupon(row));
+  if (!status) return <span className="text-gray-400">-</span>;
+  return (
+    <div className="whitespace-nowrap">
+      <div className="font-mono font-bold">
+        {formatCouponCode(row.couponCode)}
+      </div>
+      <div className="flex items-center gap-1 mt-1">
+        <span
+          className={`px-2 py-0.5 rounded-full text-xs font-bold ${COUPON_STATUS_STYLES[status]}`}
+        >
+          {COUPON_STATUS_LABELS[status]}
+        </span>
+        {status === "redeemed" ? (
+          <span className="text-xs text-gray-400">
+            {row.couponRedeemedBranch}
+            {row.couponRedeemedRoom}
+          </span>
+        ) : (
+          row.couponExpiresAt && (
+            <span className="text-xs text-gray-400">
+              至{" "}
+              {new Date(row.couponExpiresAt.seconds * 1000).toLocaleDateString(
+                "zh-TW",
+              )}
+            </span>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
 
-      // Handle touch events
-      if (e.touches && e.touches.length > 0) {
-        clientX = e.touches[0].clientX;
-        clientY = e.touches[0].clientY;
-      }
+// --- Sub-Component: Coupon Redeem Panel（櫃台兌換） ---
+// 輸入或貼上兌換碼／訂單編號 → 確認獎項、限制與期限 → 選擇兌換分店與包廂後標記已兌換
+function CouponRedeemPanel({ campaign, staff, onLookup, onRedeem }) {
+  const [input, setInput] = useState("");
+  const [coupon, setCoupon] = useState(null);
+  const [error, setError] = useState("");
+  const [success, setSuccess] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [branch, setBranch] = useState("");
+  const [room, setRoom] = useState("");
+
+  // 可兌換的分店：可操作的分店，限原分店兌換的獎項只能選登錄分店
+  const editableBranches = getStaffBranches(staff, campaign).filter((b) =>
+    canEditBranch(staff, b),
+  );
+  const branchOptions = coupon?.sameBranchOnly
+    ? editableBranches.filter((b) => b === coupon.branch)
+    : editableBranches;
+  const status = getCouponStatus(coupon);
+  const redeemError =
+    coupon &&
+    (getCouponRedeemError(coupon, branch) ||
+      (branchOptions.length === 0
+        ? coupon.sameBranchOnly
+          ? `此獎項限${coupon.branch}兌換，此帳號無法操作該分店`
+          : "此帳號沒有可兌換的分店（唯讀帳號無法兌換）"
+        : null));
+
+  const showCoupon = (found) => {
+    setCoupon(found);
+    const options = getStaffBranches(staff, campaign).filter(
+      (b) =>
+        canEditBranch(staff, b) &&
+        (!found.sameBranchOnly || b === found.branch),
+    );
+    const nextBranch = options.includes(found.branch)
+      ? found.branch
+      : options[0] || "";
+    setBranch(nextBranch);
+    setRoom(getBranchRooms(campaign, nextBranch)[0] || "");
+  };
 
-      return {
-        x: clientX - rect.left,
-        y: clientY - rect.top,
-      };
-    };
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    if (!input.trim()) return;
+    setBusy(true);
+    setError("");
+    setSuccess("");
+    setCoupon(null);
+    const result = await onLookup(input);
+    setBusy(false);
+    if (result.error) setError(result.error);
+    else showCoupon(result.coupon);
+  };
 
-    const scratch = (x, y) => {
-      ctx.globalCompositeOperation = "destination-out";
-      ctx.beginPath();
-      ctx.arc(x, y, 20, 0, Math.PI * 2);
-      ctx.fill();
-    };
+  const handleRedeem = async () => {
+    if (!coupon || redeemError || !branch || !room) return;
+    if (
+      !confirm(
+        `確定要在 ${branch}（${room}）兌換「${coupon.prizeName}」嗎？兌換後無法復原`,
+      )
+    )
+      return;
+    setBusy(true);
+    setError("");
+    const result = await onRedeem(coupon.code, branch, room);
+    setBusy(false);
+    if (result.error) {
+      setError(result.error);
+      return;
+    }
+    showCoupon(result.coupon);
+    setSuccess(`✅ 已兌換「${result.coupon.prizeName}」`);
+    setInput("");
+  };
+
+  const toDateString = (t) =>
+    t ? new Date(t.seconds * 1000).toLocaleString("zh-TW") : "-";
+
+  return (
+    <div className="max-w-xl space-y-4">
+      <form
+        onSubmit={handleLookup}
+        className="bg-white rounded-lg shadow p-4 flex gap-2"
+      >
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="輸入或貼上兌換碼（ABCD-EFGH）或訂單編號"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded font-mono uppercase focus:outline-none focus:border-blue-500"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={busy || !input.trim()}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded flex items-center gap-2"
+        >
+          {busy && !coupon ? (
+            <Loader2 className="animate-spin w-4 h-4" />
+          ) : (
+            <Search className="w-4 h-4" />
+          )}
+          查詢
+        </button>
+      </form>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-3 text-sm">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-50 border border-green-200 text-green-700 rounded-lg p-3 text-sm">
+          {success}
+        </div>
+      )}
+
+      {coupon && (
+        <div className="bg-white rounded-lg shadow p-4">
+          <div className="flex justify-between items-start mb-3">
+            <div>
+              <div className="text-2xl font-mono font-bold tracking-widest">
+                {formatCouponCode(coupon.code)}
+              </div>
+              <div className="text-lg font-bold text-green-700 mt-1">
+                {coupon.prizeName}
+              </div>
+            </div>
+            <span
+              className={`px-3 py-1 rounded-full text-sm font-bold ${COUPON_STATUS_STYLES[status]}`}
+            >
+              {COUPON_STATUS_LABELS[status]}
+            </span>
+          </div>
+          <dl className="grid grid-cols-3 gap-y-1 text-sm">
+            <dt className="text-gray-500">會員電話</dt>
+            <dd className="col-span-2 font-mono">{maskPhone(coupon.phone)}</dd>
+            <dt className="text-gray-500">登錄分店</dt>
+            <dd className="col-span-2">
+              {coupon.branch}
+              {coupon.sameBranchOnly && (
+                <span className="ml-2 text-xs text-orange-600">
+                  限原分店兌換
+                </span>
+              )}
+            </dd>
+            <dt className="text-gray-500">兌換期限</dt>
+            <dd className="col-span-2">{toDateString(coupon.expiresAt)}</dd>
+            {status === "redeemed" && (
+              <>
+                <dt className="text-gray-500">兌換紀錄</dt>
+                <dd className="col-span-2">
+                  {toDateString(coupon.redeemedAt)}．{coupon.redeemedBranch}
+                  {coupon.redeemedRoom}．{coupon.redeemedByName}
+                </dd>
+              </>
+            )}
+          </dl>
+
+          {status === "issued" && branchOptions.length > 0 && (
+            <div className="flex gap-2 mt-4">
+              <select
+                value={branch}
+                onChange={(e) => {
+                  setBranch(e.target.value);
+                  setRoom(getBranchRooms(campaign, e.target.value)[0] || "");
+                }}
+                className="flex-1 px-2 py-2 border border-gray-300 rounded"
+              >
+                {branchOptions.map((b) => (
+                  <option key={b} value={b}>
+                    {b}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={room}
+                onChange={(e) => setRoom(e.target.value)}
+                className="flex-1 px-2 py-2 border border-gray-300 rounded"
+              >
+                {getBranchRooms(campaign, branch).map((r) => (
+                  <option key={r} value={r}>
+                    {r}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {redeemError ? (
+            // 剛完成兌換時只顯示成功訊息
+            !success && (
+              <div className="mt-4 text-sm text-red-600 font-medium">
+                ⚠️ {redeemError}
+              </div>
+            )
+          ) : (
+            <button
+              onClick={handleRedeem}
+              disabled={busy || !branch || !room}
+              className="mt-4 w-full py-3 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-bold rounded-lg flex items-center justify-center gap-2"
+            >
+              {busy && <Loader2 className="animate-spin w-4 h-4" />}
+              標記已兌換
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Sub-Component: Campaign Dashboard（活動統計） ---
+const BACKLOG_BUCKETS = [
+  { label: "1 天內", maxDays: 1 },
+  { label: "1-3 天", maxDays: 3 },
+  { label: "3-7 天", maxDays: 7 },
+  { label: "超過 7 天", maxDays: Infinity },
+];
+
+// 每日登錄數最多顯示的天數（每一天是一次計數查詢）
+const DASHBOARD_MAX_DAYS = 60;
+
+// 以伺服器端計數查詢計算統計數字，不讀取訂單內容
+// countOrders(where, branch)：負責分店（或指定的 branch）中符合 where 的訂單數
+// branches：可查看的分店；counts：stats/prize_counts；now 供測試固定時間
+const countCampaignStats = async (
+  campaign,
+  branches,
+  countOrders,
+  counts,
+  now = Date.now(),
+) => {
+  const WIN = ["scratchPrizeType", "==", "win"];
+  const UNSENT = ["prizeSent", "==", false];
+  const ELIGIBLE = ["isGrandEligible", "==", true];
+  const DAY_MS = 86400000;
+
+  // 活動日期區間內、到今天為止的最近 DASHBOARD_MAX_DAYS 天
+  const days = [];
+  const lastDay = [campaign.dateRange.max, getTodayDateString()].sort()[0];
+  for (
+    let t = Date.parse(`${lastDay}T00:00:00Z`);
+    days.length < DASHBOARD_MAX_DAYS;
+    t -= DAY_MS
+  ) {
+    const day = new Date(t).toISOString().slice(0, 10);
+    if (day < campaign.dateRange.min) break;
+    days.unshift(day);
+  }
+
+  const winPrizes = campaign.prizes.filter((p) => p.type === "win");
+  const all = (items, fn) => Promise.all(items.map(fn));
+  const [
+    total,
+    grandEligible,
+    wins,
+    unsent,
+    perBranch,
+    perDay,
+    awarded,
+    durations,
+    backlog,
+  ] = await Promise.all([
+    countOrders([]),
+    countOrders([ELIGIBLE]),
+    countOrders([WIN]),
+    countOrders([WIN, UNSENT]),
+    all(branches, (branch) => countOrders([], branch)),
+    all(days, (day) => countOrders([["date", "==", day]])),
+    all(winPrizes, (p) => countOrders([["scratchPrizeId", "==", p.id]])),
+    all(campaign.durations, (d) =>
+      Promise.all([
+        countOrders([["duration", "==", d.val]]),
+        countOrders([["duration", "==", d.val], ELIGIBLE]),
+      ]),
+    ),
+    // 待發獎依登錄時間分段：登錄時間在 (now - maxDays, now - minDays] 之間
+    all(BACKLOG_BUCKETS, (bucket, i) => {
+      const minDays = i === 0 ? 0 : BACKLOG_BUCKETS[i - 1].maxDays;
+      const where = [WIN, UNSENT];
+      if (minDays > 0) {
+        where.push(["timestamp", "<=", new Date(now - minDays * DAY_MS)]);
+      }
+      if (bucket.maxDays !== Infinity) {
+        where.push(["timestamp", ">", new Date(now - bucket.maxDays * DAY_MS)]);
+      }
+      return countOrders(where);
+    }),
+  ]);
+
+  return {
+    total,
+    grandEligible,
+    wins,
+    unsent,
+    branches: branches
+      .map((name, i) => ({ label: name, value: perBranch[i] }))
+      .filter((item) => item.value),
+    days: days
+      .map((day, i) => ({ label: day, value: perDay[i] }))
+      .filter((item) => item.value),
+    // 限量獎項：stats 的已發數量才是庫存依據；awarded 為負責分店訂單中的實際筆數
+    prizes: winPrizes.map((p, i) => ({
+      id: p.id,
+      name: p.name,
+      awarded: awarded[i],
+      used: counts[p.id] || 0,
+      limit: p.limit,
+      remaining:
+        p.limit === -1 ? null : Math.max(p.limit - (counts[p.id] || 0), 0),
+    })),
+    durations: campaign.durations.map((d, i) => {
+      const [entries, eligible] = durations[i];
+      return {
+        label: d.label,
+        entries,
+        eligible,
+        rate: entries ? eligible / entries : 0,
+      };
+    }),
+    backlog: BACKLOG_BUCKETS.map((bucket, i) => ({
+      label: bucket.label,
+      value: backlog[i],
+    })),
+  };
+};
+
+// 橫向長條圖；未指定 max 時以最大值為滿格
+function BarList({ items, color = "bg-blue-500", format = (v) => v, max }) {
+  const scale = max || Math.max(...items.map((i) => i.value), 1);
+  return (
+    <div className="space-y-2">
+      {items.map((item) => (
+        <div key={item.label} className="flex items-center gap-2 text-sm">
+          <div className="w-28 shrink-0 text-gray-600 truncate">
+            {item.label}
+          </div>
+          <div className="flex-1 bg-gray-100 rounded h-5 overflow-hidden">
+            <div
+              className={`${color} h-full rounded`}
+              style={{ width: `${(item.value / scale) * 100}%` }}
+            />
+          </div>
+          <div className="w-16 text-right font-mono text-gray-700">
+            {format(item.value)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// 直條圖（每日登錄數）
+function ColumnChart({ items }) {
+  const max = Math.max(...items.map((i) => i.value), 1);
+  return (
+    <div className="flex items-end gap-1 h-40 overflow-x-auto pb-6 relative">
+      {items.map((item) => (
+        <div
+          key={item.label}
+          className="flex flex-col items-center justify-end h-full min-w-[20px] flex-1"
+          title={`${item.label}：${item.value} 筆`}
+        >
+          <div className="text-[10px] text-gray-500">{item.value}</div>
+          <div
+            className="w-full bg-red-400 rounded-t"
+            style={{ height: `${(item.value / max) * 100}%` }}
+          />
+          <div className="text-[10px] text-gray-400 mt-1 whitespace-nowrap">
+            {item.label.slice(5)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function CampaignDashboard({ campaign, stats }) {
+  const card = "bg-white rounded-lg shadow p-4";
+  const percent = (v) => `${Math.round(v * 100)}%`;
+
+  if (!stats || stats.total === 0) {
+    return (
+      <div className={`${card} p-12 text-center text-gray-400`}>
+        目前沒有資料
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          { label: "總登錄數", value: stats.total },
+          { label: "大獎資格", value: stats.grandEligible },
+          { label: "刮刮樂中獎", value: stats.wins },
+          { label: "待發獎", value: stats.unsent, warn: stats.unsent > 0 },
+        ].map((item) => (
+          <div key={item.label} className={card}>
+            <div className="text-xs text-gray-500">{item.label}</div>
+            <div
+              className={`text-2xl font-bold ${
+                item.warn ? "text-orange-600" : "text-gray-800"
+              }`}
+            >
+              {item.value}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className={card}>
+          <h3 className="font-bold text-gray-700 mb-3">各分店登錄數</h3>
+          <BarList items={stats.branches} />
+        </div>
+        <div className={card}>
+          <h3 className="font-bold text-gray-700 mb-3">待發獎（依登錄時間）</h3>
+          <BarList items={stats.backlog} color="bg-orange-400" />
+        </div>
+      </div>
+
+      <div className={card}>
+        <h3 className="font-bold text-gray-700 mb-3">
+          每日登錄數（依遊玩日期）
+        </h3>
+        <ColumnChart items={stats.days} />
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className={card}>
+          <h3 className="font-bold text-gray-700 mb-3">刮刮樂獎項發放與庫存</h3>
+          <table className="w-full text-sm">
+            <thead className="text-gray-500 text-xs">
+              <tr>
+                <th className="text-left py-1">獎項</th>
+                <th className="text-right py-1">已發</th>
+                <th className="text-right py-1">上限</th>
+                <th className="text-right py-1">剩餘</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {stats.prizes.map((p) => (
+                <tr key={p.id}>
+                  <td className="py-2">
+                    {p.name}
+                    {p.limit !== -1 && (
+                      <div className="mt-1 h-1.5 bg-gray-100 rounded overflow-hidden">
+                        <div
+                          className={`h-full ${
+                            p.remaining === 0 ? "bg-red-500" : "bg-green-500"
+                          }`}
+                          style={{
+                            width: `${Math.min((p.used / p.limit) * 100, 100)}%`,
+                          }}
+                        />
+                      </div>
+                    )}
+                  </td>
+                  <td className="text-right font-mono">
+                    {p.limit === -1 ? p.awarded : p.used}
+                  </td>
+                  <td className="text-right font-mono text-gray-500">
+                    {p.limit === -1 ? "不限" : p.limit}
+                  </td>
+                  <td
+                    className={`text-right font-mono ${
+                      p.remaining === 0 ? "text-red-600 font-bold" : ""
+                    }`}
+                  >
+                    {p.remaining ?? "-"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className={card}>
+          <h3 className="font-bold text-gray-700 mb-3">
+            大獎資格比例（依時長，滿 {campaign.grandMinDuration} 小時可參加）
+          </h3>
+          <BarList
+            items={stats.durations.map((d) => ({
+              label: `${d.label}（${d.eligible}/${d.entries}）`,
+              value: d.rate,
+            }))}
+            color="bg-yellow-500"
+            format={percent}
+            max={1}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Sub-Component: Order Filter Bar（後台篩選列） ---
+// 條件按「搜尋」後才套用，避免每次輸入都重新查詢
+function OrderFilterBar({ campaign, branches, value, onApply }) {
+  const [draft, setDraft] = useState(value);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    setDraft(value);
+  }, [value]);
+
+  const update = (key, val) => setDraft((prev) => ({ ...prev, [key]: val }));
+
+  // 未選分店時列出所有可查看分店的包廂
+  const rooms = draft.branch
+    ? getBranchRooms(campaign, draft.branch)
+    : [...new Set(branches.flatMap((b) => getBranchRooms(campaign, b)))];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const phone = draft.phone.replace(/\D/g, "");
+    if (phone && phone.length !== 4 && !PHONE_REGEX.test(phone)) {
+      setError("電話請輸入完整手機號碼或末 4 碼");
+      return;
+    }
+    const serial = draft.serial.trim();
+    if (serial && !isValidSerial(serial) && !LEGACY_SERIAL_REGEX.test(serial)) {
+      setError("序號格式錯誤或檢查碼不符");
+      return;
+    }
+    if (draft.from && draft.to && draft.from > draft.to) {
+      setError("開始日期不能晚於結束日期");
+      return;
+    }
+    setError("");
+    onApply({ ...draft, phone, serial });
+  };
+
+  const inputClass =
+    "border border-gray-300 rounded px-2 py-1.5 text-sm bg-white focus:border-blue-500 focus:outline-none";
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mb-4 bg-white rounded-lg shadow p-3 flex flex-wrap items-end gap-2"
+    >
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        電話
+        <input
+          value={draft.phone}
+          onChange={(e) => update("phone", e.target.value)}
+          placeholder="完整號碼或末 4 碼"
+          inputMode="numeric"
+          className={`${inputClass} w-36 font-mono`}
+        />
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        分店
+        <select
+          value={draft.branch}
+          onChange={(e) => {
+            const branch = e.target.value;
+            setDraft((prev) => ({
+              ...prev,
+              branch,
+              room:
+                branch && !getBranchRooms(campaign, branch).includes(prev.room)
+                  ? ""
+                  : prev.room,
+            }));
+          }}
+          className={inputClass}
+        >
+          <option value="">全部分店</option>
+          {branches.map((b) => (
+            <option key={b} value={b}>
+              {b}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        包廂
+        <select
+          value={draft.room}
+          onChange={(e) => update("room", e.target.value)}
+          className={inputClass}
+        >
+          <option value="">全部包廂</option>
+          {rooms.map((r) => (
+            <option key={r} value={r}>
+              {r}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        消費日期
+        <div className="flex items-center gap-1">
+          <input
+            type="date"
+            value={draft.from}
+            onChange={(e) => update("from", e.target.value)}
+            className={inputClass}
+          />
+          <span className="text-gray-400">~</span>
+          <input
+            type="date"
+            value={draft.to}
+            onChange={(e) => update("to", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        獎項
+        <select
+          value={draft.prize}
+          onChange={(e) => update("prize", e.target.value)}
+          className={inputClass}
+        >
+          <option value="">全部獎項</option>
+          {campaign.prizes.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        發獎狀態
+        <select
+          value={draft.sent}
+          onChange={(e) => update("sent", e.target.value)}
+          className={inputClass}
+        >
+          <option value="">全部</option>
+          <option value="no">未發送</option>
+          <option value="yes">已發送</option>
+        </select>
+      </label>
+      <label className="flex flex-col text-xs text-gray-500 gap-1">
+        序號
+        <input
+          value={draft.serial}
+          onChange={(e) => update("serial", e.target.value)}
+          placeholder="6 或 7 位數序號"
+          inputMode="numeric"
+          className={`${inputClass} w-28 font-mono`}
+        />
+      </label>
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="px-4 py-1.5 bg-blue-600 hover:bg-blue-500 text-white text-sm rounded flex items-center gap-1"
+        >
+          <Search className="w-4 h-4" />
+          搜尋
+        </button>
+        {hasOrderFilters(value) && (
+          <button
+            type="button"
+            onClick={() => {
+              setError("");
+              onApply(EMPTY_ORDER_FILTERS);
+            }}
+            className="px-3 py-1.5 text-sm text-gray-500 hover:text-gray-800 bg-gray-100 rounded"
+          >
+            清除條件
+          </button>
+        )}
+      </div>
+      {error && <div className="w-full text-xs text-red-500">{error}</div>}
+    </form>
+  );
+}
+
+// --- Sub-Component: Bulk Progress Panel（批次發獎進度與結果） ---
+function BulkProgressPanel({ progress, onClose }) {
+  const { label, total, done, skipped, failed, running } = progress;
+  return (
+    <div className="fixed bottom-4 right-4 z-30 w-80 bg-white rounded-lg shadow-xl border p-4 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-bold text-gray-800">
+          {running ? `${label}處理中…` : `${label}完成`}
+        </span>
+        {!running && (
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-700 text-lg leading-none"
+          >
+            ×
+          </button>
+        )}
+      </div>
+      <div className="h-2 bg-gray-100 rounded overflow-hidden mb-2">
+        <div
+          className={`h-full ${failed.length ? "bg-orange-500" : "bg-green-500"}`}
+          style={{ width: `${total ? (done / total) * 100 : 100}%` }}
+        />
+      </div>
+      <div className="text-gray-600">
+        {done} / {total} 筆
+        {!running && (
+          <>
+            ：成功 {done - failed.length - skipped} 筆
+            {skipped > 0 && `，略過 ${skipped} 筆（狀態相同）`}
+            {failed.length > 0 && (
+              <span className="text-red-600">，失敗 {failed.length} 筆</span>
+            )}
+          </>
+        )}
+      </div>
+      {!running && failed.length > 0 && (
+        <ul className="mt-2 max-h-40 overflow-y-auto text-xs text-red-600 space-y-1">
+          {failed.map((f) => (
+            <li key={f.id}>
+              <span className="font-mono">{f.phone}</span>：{f.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {!running && failed.length > 0 && (
+        <div className="mt-2 text-xs text-gray-400">
+          失敗的訂單仍保持勾選，可再次執行
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Sub-Component: Audit History Drawer（訂單修改歷程） ---
+const AUDIT_FIELD_LABELS = {
+  prizeSent: "發獎狀態",
+  note: "備註",
+  couponStatus: "兌換狀態",
+  couponRedeemedBranch: "兌換分店",
+  couponRedeemedRoom: "兌換包廂",
+};
+
+const formatAuditValue = (field, value) => {
+  if (field === "prizeSent") return value ? "已發送" : "未發送";
+  if (field === "couponStatus") return COUPON_STATUS_LABELS[value] || value;
+  if (value === "" || value == null) return "（空白）";
+  return String(value);
+};
+
+function AuditHistoryDrawer({ order, logs, notifyLogs, loading, onClose }) {
+  return (
+    <div className="fixed inset-0 z-30 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative w-full max-w-md h-full bg-white shadow-xl flex flex-col">
+        <div className="px-5 py-4 border-b flex justify-between items-start">
+          <div>
+            <h3 className="font-bold text-gray-800">修改歷程</h3>
+            <div className="text-xs text-gray-500 font-mono mt-1">
+              {order.phone}．{order.branch}．{order.scratchPrizeName || "-"}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-700 text-xl leading-none"
+          >
+            ×
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-5">
+          {loading ? (
+            <div className="flex justify-center text-gray-400 py-12">
+              <Loader2 className="animate-spin w-6 h-6" />
+            </div>
+          ) : logs.length === 0 ? (
+            <div className="text-center text-gray-400 py-12 text-sm">
+              尚無修改紀錄
+            </div>
+          ) : (
+            <ol className="space-y-4">
+              {logs.map((log) => (
+                <li key={log.id} className="border-l-2 border-blue-200 pl-3">
+                  <div className="text-xs text-gray-400">
+                    {log.at
+                      ? new Date(log.at.seconds * 1000).toLocaleString("zh-TW")
+                      : "剛剛"}
+                    ．{log.actorName || log.actorEmail}
+                  </div>
+                  {Object.keys(log.after || {}).map((field) => (
+                    <div key={field} className="text-sm text-gray-700 mt-1">
+                      <span className="font-medium">
+                        {AUDIT_FIELD_LABELS[field] || field}
+                      </span>
+                      ：
+                      <span className="text-gray-400 line-through break-words">
+                        {formatAuditValue(field, log.before?.[field])}
+                      </span>
+                      {" → "}
+                      <span className="break-words">
+                        {formatAuditValue(field, log.after[field])}
+                      </span>
+                    </div>
+                  ))}
+                </li>
+              ))}
+            </ol>
+          )}
+          {!loading && notifyLogs.length > 0 && (
+            <>
+              <h4 className="font-bold text-gray-700 text-sm mt-8 mb-3">
+                中獎通知發送紀錄
+              </h4>
+              <ol className="space-y-3">
+                {notifyLogs.map((log) => (
+                  <li
+                    key={log.id}
+                    className={`border-l-2 pl-3 text-sm ${
+                      log.success ? "border-green-300" : "border-red-300"
+                    }`}
+                  >
+                    <div className="text-xs text-gray-400">
+                      {log.at
+                        ? new Date(log.at.seconds * 1000).toLocaleString(
+                            "zh-TW",
+                          )
+                        : "剛剛"}
+                      ．{log.provider}．第 {log.attempt} 次
+                    </div>
+                    <div
+                      className={`break-words ${
+                        log.success ? "text-green-700" : "text-red-600"
+                      }`}
+                    >
+                      {log.success
+                        ? `已發送至 ${log.to}`
+                        : `發送失敗：${log.error}`}
+                    </div>
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Sub-Component: Scratch Card (HTML Canvas) ---
+function ScratchCard({ prize, onComplete, onBack }) {
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const [isRevealed, setIsRevealed] = useState(false);
+  const isRevealedRef = useRef(false);
+  const onCompleteRef = useRef(onComplete);
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  }, [onComplete]);
+
+  useEffect(() => {
+    isRevealedRef.current = isRevealed;
+  }, [isRevealed]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const ctx = canvas.getContext("2d");
+    const container = containerRef.current;
+    if (!container) return;
+
+    // 定義 width 和 height 在外部作用域，讓所有函數都能訪問
+    let width = 288; // 預設值
+    let height = 160; // 預設值
+
+    // Wait for container to be rendered
+    const initCanvas = () => {
+      // Set canvas size
+      width = container.offsetWidth || 288; // 72 * 4 = 288px
+      height = container.offsetHeight || 160; // 40 * 4 = 160px
+      canvas.width = width;
+      canvas.height = height;
+
+      // Fill with silver overlay
+      ctx.fillStyle = "#C0C0C0"; // Silver
+      ctx.fillRect(0, 0, width, height);
+
+      // Add texture/text to overlay
+      ctx.font = "bold 20px sans-serif";
+      ctx.fillStyle = "#909090";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText("刮開試手氣", width / 2, height / 2);
+
+      // Reset composite operation for drawing
+      ctx.globalCompositeOperation = "source-over";
+    };
+
+    // Initialize immediately and also on resize
+    initCanvas();
+
+    // Use ResizeObserver or setTimeout to ensure container is ready
+    const resizeObserver = new ResizeObserver(() => {
+      initCanvas();
+    });
+    resizeObserver.observe(container);
+
+    let isDrawing = false;
+
+    const getPos = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      let clientX = e.clientX;
+      let clientY = e.clientY;
+
+      // Handle touch events
+      if (e.touches && e.touches.length > 0) {
+        clientX = e.touches[0].clientX;
+        clientY = e.touches[0].clientY;
+      }
+
+      return {
+        x: clientX - rect.left,
+        y: clientY - rect.top,
+      };
+    };
+
+    const scratch = (x, y) => {
+      ctx.globalCompositeOperation = "destination-out";
+      ctx.beginPath();
+      ctx.arc(x, y, 20, 0, Math.PI * 2);
+      ctx.fill();
+    };
 
     const checkReveal = () => {
       // Check how much is cleared
@@ -1404,8 +4448,7 @@ function ScratchCard({ prize, onComplete, onBack }) {
       }
       const percent = (transparent / (pixels.length / 4)) * 100;
 
-      if (percent > 75) {
-        // If 35% cleared, auto reveal
+      if (percent > SCRATCH_REVEAL_PERCENT) {
         setIsRevealed(true);
         canvas.style.opacity = "0"; // Fade out
         setTimeout(() => onCompleteRef.current(), 400); // Wait for transition then complete
@@ -1424,7 +4467,7 @@ function ScratchCard({ prize, onComplete, onBack }) {
       e.preventDefault(); // Prevent scroll on touch
       const { x, y } = getPos(e);
       scratch(x, y);
-      // 在刮開過程中也要檢查，這樣達到 40% 時就能立即觸發
+      // 在刮開過程中也要檢查，這樣超過門檻時就能立即觸發
       checkReveal();
     };
 
@@ -1476,3 +4519,1438 @@ function ScratchCard({ prize, onComplete, onBack }) {
     </div>
   );
 }
+
+// --- Sub-Component: Campaign Editor (後台活動設定) ---
+// 已有訂單使用中的包廂/獎項不可刪除，回傳錯誤訊息陣列
+// 只檢查這次移除的包廂與獎項代碼，countOrders(where) 以計數查詢取得訂單數，不讀取訂單
+const findCampaignUsageErrors = async (before, after, countOrders) => {
+  const roomsOf = (name) =>
+    after.branches.find((b) => b.name === name)?.rooms || [];
+  const removedRooms = before.branches.flatMap((b) =>
+    b.rooms
+      .filter((room) => !roomsOf(b.name).includes(room))
+      .map((room) => ({ branch: b.name, room })),
+  );
+  const removedPrizes = before.prizes.filter(
+    (p) => !after.prizes.some((q) => q.id === p.id),
+  );
+
+  const [roomCounts, prizeCounts] = await Promise.all([
+    Promise.all(
+      removedRooms.map(({ branch, room }) =>
+        countOrders([
+          ["branch", "==", branch],
+          ["room", "==", room],
+        ]),
+      ),
+    ),
+    Promise.all(
+      removedPrizes.map((p) => countOrders([["scratchPrizeId", "==", p.id]])),
+    ),
+  ]);
+  return [
+    ...removedRooms
+      .filter((_, i) => roomCounts[i] > 0)
+      .map(
+        ({ branch, room }) => `包廂「${branch} ${room}」已有訂單使用，不可刪除`,
+      ),
+    ...removedPrizes
+      .filter((_, i) => prizeCounts[i] > 0)
+      .map((p) => `獎項「${p.name}」已有訂單中獎，不可刪除或更改代碼`),
+  ];
+};
+
+// 列出草稿與目前設定的差異，供儲存前預覽
+const describeCampaignChanges = (before, after) => {
+  const changes = [];
+  const beforePrizes = new Map(before.prizes.map((p) => [p.id, p]));
+  const afterIds = after.prizes.map((p) => p.id);
+
+  after.prizes.forEach((p) => {
+    const old = beforePrizes.get(p.id);
+    if (!old) {
+      changes.push(`新增獎項「${p.name}」`);
+      return;
+    }
+    if (old.name !== p.name)
+      changes.push(`獎項「${old.name}」改名為「${p.name}」`);
+    if (old.type !== p.type)
+      changes.push(`「${p.name}」類型：${old.type} → ${p.type}`);
+    if (old.prob !== p.prob)
+      changes.push(`「${p.name}」機率：${old.prob} → ${p.prob}`);
+    if (old.limit !== p.limit)
+      changes.push(`「${p.name}」數量上限：${old.limit} → ${p.limit}`);
+    if ((old.validDays ?? null) !== (p.validDays ?? null))
+      changes.push(
+        `「${p.name}」兌換有效天數：${old.validDays ?? "預設"} → ${p.validDays ?? "預設"}`,
+      );
+    if ((old.notifyTemplate || "") !== (p.notifyTemplate || ""))
+      changes.push(
+        `「${p.name}」通知範本：${p.notifyTemplate || "使用預設範本"}`,
+      );
+    if (!!old.sameBranchOnly !== !!p.sameBranchOnly)
+      changes.push(
+        `「${p.name}」${p.sameBranchOnly ? "改為限原分店兌換" : "改為各分店皆可兌換"}`,
+      );
+    if ((old.expiresOn || "") !== (p.expiresOn || ""))
+      changes.push(
+        `「${p.name}」最晚兌換日：${old.expiresOn || "無"} → ${p.expiresOn || "無"}`,
+      );
+  });
+  before.prizes
+    .filter((p) => !afterIds.includes(p.id))
+    .forEach((p) => changes.push(`刪除獎項「${p.name}」`));
+  if (
+    before.prizes
+      .map((p) => p.id)
+      .filter((id) => afterIds.includes(id))
+      .join() !== afterIds.filter((id) => beforePrizes.has(id)).join()
+  ) {
+    changes.push("調整獎項順序");
+  }
+  if (before.fallbackPrizeId !== after.fallbackPrizeId) {
+    changes.push(
+      `庫存不足改發：${before.fallbackPrizeId} → ${after.fallbackPrizeId}`,
+    );
+  }
+
+  const beforeBranches = new Map(before.branches.map((b) => [b.name, b]));
+  after.branches.forEach((b) => {
+    const old = beforeBranches.get(b.name);
+    if (!old) {
+      changes.push(`新增分店「${b.name}」（${b.rooms.length} 間包廂）`);
+      return;
+    }
+    const added = b.rooms.filter((r) => !old.rooms.includes(r));
+    const removed = old.rooms.filter((r) => !b.rooms.includes(r));
+    if (added.length) changes.push(`${b.name} 新增包廂：${added.join("、")}`);
+    if (removed.length)
+      changes.push(`${b.name} 刪除包廂：${removed.join("、")}`);
+  });
+  before.branches
+    .filter((b) => !after.branches.some((a) => a.name === b.name))
+    .forEach((b) => changes.push(`刪除分店「${b.name}」`));
+
+  if (
+    before.dateRange.min !== after.dateRange.min ||
+    before.dateRange.max !== after.dateRange.max
+  ) {
+    changes.push(
+      `活動日期：${before.dateRange.min} ~ ${before.dateRange.max} → ${after.dateRange.min} ~ ${after.dateRange.max}`,
+    );
+  }
+  if (before.notifyTemplate !== after.notifyTemplate) {
+    changes.push(`預設通知範本：${after.notifyTemplate}`);
+  }
+  if (before.couponValidDays !== after.couponValidDays) {
+    changes.push(
+      `兌換碼有效天數：${before.couponValidDays} → ${after.couponValidDays}`,
+    );
+  }
+  if (
+    JSON.stringify(before.grandPrizes) !== JSON.stringify(after.grandPrizes)
+  ) {
+    changes.push(
+      `直播大獎：${after.grandPrizes
+        .map((g) => `${g.name} ${g.prize} ×${g.count}`)
+        .join("、")}`,
+    );
+  }
+  if (before.startAt !== after.startAt || before.endAt !== after.endAt) {
+    changes.push(
+      `開放登錄：${new Date(after.startAt).toLocaleString("zh-TW")} ~ ${new Date(after.endAt).toLocaleString("zh-TW")}`,
+    );
+  }
+  if (before.winnersUrl !== after.winnersUrl) {
+    changes.push(`得獎名單連結：${after.winnersUrl || "（無）"}`);
+  }
+  if (before.grandMinDuration !== after.grandMinDuration) {
+    changes.push(
+      `大獎資格時數：${before.grandMinDuration} → ${after.grandMinDuration}`,
+    );
+  }
+  return changes;
+};
+
+// ISO 時間與 <input type="datetime-local"> 的本地時間字串互轉
+const toLocalInputValue = (iso) => {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(
+    d.getHours(),
+  )}:${pad(d.getMinutes())}`;
+};
+const fromLocalInputValue = (value) => {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString();
+};
+
+function CampaignEditor({ campaign, onSave }) {
+  const [draft, setDraft] = useState(() =>
+    JSON.parse(JSON.stringify(campaign)),
+  );
+  const [newRooms, setNewRooms] = useState({}); // 各分店「新增包廂」輸入框
+  const [saving, setSaving] = useState(false);
+
+  const errors = validateCampaign(draft);
+  const changes = describeCampaignChanges(campaign, draft);
+  const probTotal = draft.prizes.reduce(
+    (sum, p) => sum + (Number(p.prob) || 0),
+    0,
+  );
+
+  // 數字欄位：空白時保留空字串，讓驗證顯示錯誤
+  const toNumber = (v) => (v === "" ? "" : Number(v));
+
+  const updatePrize = (index, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      prizes: prev.prizes.map((p, i) => (i === index ? { ...p, ...patch } : p)),
+    }));
+  };
+
+  const movePrize = (index, delta) => {
+    setDraft((prev) => {
+      const prizes = [...prev.prizes];
+      const target = index + delta;
+      if (target < 0 || target >= prizes.length) return prev;
+      [prizes[index], prizes[target]] = [prizes[target], prizes[index]];
+      return { ...prev, prizes };
+    });
+  };
+
+  const removePrize = (index) => {
+    setDraft((prev) => ({
+      ...prev,
+      prizes: prev.prizes.filter((_, i) => i !== index),
+    }));
+  };
+
+  const addPrize = () => {
+    setDraft((prev) => ({
+      ...prev,
+      prizes: [
+        ...prev.prizes,
+        {
+          id: `prize_${Date.now().toString(36)}`,
+          name: "",
+          type: "win",
+          prob: 0,
+          limit: -1,
+        },
+      ],
+    }));
+  };
+
+  const updateGrandPrize = (index, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      grandPrizes: prev.grandPrizes.map((g, i) =>
+        i === index ? { ...g, ...patch } : g,
+      ),
+    }));
+  };
+
+  const updateBranch = (index, patch) => {
+    setDraft((prev) => ({
+      ...prev,
+      branches: prev.branches.map((b, i) =>
+        i === index ? { ...b, ...patch } : b,
+      ),
+    }));
+  };
+
+  const addRoom = (index) => {
+    const room = (newRooms[index] || "").trim();
+    if (!room) return;
+    updateBranch(index, { rooms: [...draft.branches[index].rooms, room] });
+    setNewRooms((prev) => ({ ...prev, [index]: "" }));
+  };
+
+  const handleSave = async () => {
+    if (errors.length > 0 || changes.length === 0) return;
+    if (!confirm(`確定要儲存 ${changes.length} 項變更嗎？`)) return;
+    setSaving(true);
+    const saved = await onSave(draft);
+    setSaving(false);
+    if (saved) alert("✅ 活動設定已儲存");
+  };
+
+  const inputClass =
+    "w-full px-2 py-1 border border-gray-300 rounded focus:outline-none focus:border-blue-500";
+
+  return (
+    <div className="space-y-6">
+      {/* 獎項 */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="font-bold text-gray-700">刮刮樂獎項</h3>
+          <span
+            className={`text-sm ${
+              Math.abs(probTotal - 1) > 1e-6 ? "text-red-600" : "text-gray-500"
+            }`}
+          >
+            機率總和：{+(probTotal * 100).toFixed(4)}%
+          </span>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="p-2">順序</th>
+                <th className="p-2">代碼</th>
+                <th className="p-2">名稱</th>
+                <th className="p-2">類型</th>
+                <th className="p-2">機率</th>
+                <th className="p-2">數量上限（-1 不限量）</th>
+                <th className="p-2">兌換有效天數</th>
+                <th className="p-2">最晚兌換日</th>
+                <th className="p-2">限原分店</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {draft.prizes.map((p, i) => (
+                <tr key={i}>
+                  <td className="p-2 whitespace-nowrap">
+                    <button
+                      onClick={() => movePrize(i, -1)}
+                      disabled={i === 0}
+                      className="px-2 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => movePrize(i, 1)}
+                      disabled={i === draft.prizes.length - 1}
+                      className="px-2 text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                    >
+                      ↓
+                    </button>
+                  </td>
+                  <td className="p-2">
+                    <input
+                      value={p.id}
+                      onChange={(e) =>
+                        updatePrize(i, { id: e.target.value.trim() })
+                      }
+                      className={`${inputClass} font-mono w-28`}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      value={p.name}
+                      onChange={(e) => updatePrize(i, { name: e.target.value })}
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <select
+                      value={p.type}
+                      onChange={(e) => updatePrize(i, { type: e.target.value })}
+                      className={inputClass}
+                    >
+                      <option value="win">中獎</option>
+                      <option value="none">未中獎</option>
+                    </select>
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="number"
+                      step="0.0001"
+                      min="0"
+                      max="1"
+                      value={p.prob}
+                      onChange={(e) =>
+                        updatePrize(i, { prob: toNumber(e.target.value) })
+                      }
+                      className={`${inputClass} w-24`}
+                    />
+                  </td>
+                  <td className="p-2">
+                    <input
+                      type="number"
+                      step="1"
+                      min="-1"
+                      value={p.limit}
+                      onChange={(e) =>
+                        updatePrize(i, { limit: toNumber(e.target.value) })
+                      }
+                      className={`${inputClass} w-24`}
+                    />
+                  </td>
+                  {p.type === "win" ? (
+                    <>
+                      <td className="p-2">
+                        <input
+                          type="number"
+                          step="1"
+                          min="0"
+                          value={p.validDays ?? ""}
+                          placeholder={`預設 ${draft.couponValidDays}`}
+                          onChange={(e) =>
+                            updatePrize(i, {
+                              // 空白表示沿用活動預設天數
+                              validDays:
+                                e.target.value === ""
+                                  ? null
+                                  : Number(e.target.value),
+                            })
+                          }
+                          className={`${inputClass} w-24`}
+                        />
+                      </td>
+                      <td className="p-2">
+                        <input
+                          type="date"
+                          value={p.expiresOn || ""}
+                          onChange={(e) =>
+                            updatePrize(i, { expiresOn: e.target.value })
+                          }
+                          className={`${inputClass} w-36`}
+                        />
+                      </td>
+                      <td className="p-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={!!p.sameBranchOnly}
+                          onChange={(e) =>
+                            updatePrize(i, { sameBranchOnly: e.target.checked })
+                          }
+                        />
+                      </td>
+                    </>
+                  ) : (
+                    <td className="p-2 text-gray-400" colSpan={3}>
+                      不發兌換碼
+                    </td>
+                  )}
+                  <td className="p-2">
+                    <button
+                      onClick={() => removePrize(i)}
+                      className="text-xs text-red-500 hover:text-red-700"
+                    >
+                      刪除
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex flex-wrap justify-between items-center gap-2 mt-3">
+          <button
+            onClick={addPrize}
+            className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+          >
+            ＋ 新增獎項
+          </button>
+          <label className="text-sm text-gray-600 flex items-center gap-2">
+            限量獎項發完時改發
+            <select
+              value={draft.fallbackPrizeId}
+              onChange={(e) =>
+                setDraft({ ...draft, fallbackPrizeId: e.target.value })
+              }
+              className="px-2 py-1 border border-gray-300 rounded"
+            >
+              {draft.prizes.map((p, i) => (
+                <option key={i} value={p.id}>
+                  {p.name || p.id}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {/* 獎項模擬 */}
+      <PrizeSimulator campaign={draft} />
+
+      {/* 中獎通知 */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-bold text-gray-700 mb-1">中獎通知訊息</h3>
+        <p className="text-xs text-gray-500 mb-3">
+          中獎後自動以簡訊／LINE 發送，可用欄位：
+          {Object.entries(NOTIFY_TEMPLATE_FIELDS).map(([key, label]) => (
+            <code key={key} className="mx-1 px-1 bg-gray-100 rounded">
+              {`{${key}}`} {label}
+            </code>
+          ))}
+        </p>
+        <label className="block text-sm">
+          <span className="text-gray-600">預設範本</span>
+          <textarea
+            rows={2}
+            value={draft.notifyTemplate}
+            onChange={(e) =>
+              setDraft({ ...draft, notifyTemplate: e.target.value })
+            }
+            className={inputClass}
+          />
+        </label>
+        <div className="mt-3 space-y-2 text-sm">
+          {draft.prizes.map(
+            (p, i) =>
+              p.type === "win" && (
+                <label key={i} className="block">
+                  <span className="text-gray-600">
+                    {p.name || p.id}（留空使用預設範本）
+                  </span>
+                  <input
+                    value={p.notifyTemplate || ""}
+                    onChange={(e) =>
+                      updatePrize(i, { notifyTemplate: e.target.value })
+                    }
+                    placeholder={draft.notifyTemplate}
+                    className={inputClass}
+                  />
+                  <span className="block text-xs text-gray-400 mt-1">
+                    預覽：
+                    {renderNotifyTemplate(getNotifyTemplate(draft, p), {
+                      prizeName: p.name,
+                      couponCode: "ABCD-EFGH",
+                      expiresAt: new Date().toLocaleDateString("zh-TW"),
+                      branch: draft.branches[0]?.name,
+                      serial: "1234567",
+                    })}
+                  </span>
+                </label>
+              ),
+          )}
+        </div>
+      </div>
+
+      {/* 活動期間與大獎資格 */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-bold text-gray-700 mb-3">活動期間與大獎資格</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+          <label className="block">
+            <span className="text-gray-600">登錄日期（起）</span>
+            <input
+              type="date"
+              value={draft.dateRange.min}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  dateRange: { ...draft.dateRange, min: e.target.value },
+                })
+              }
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">登錄日期（迄）</span>
+            <input
+              type="date"
+              value={draft.dateRange.max}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  dateRange: { ...draft.dateRange, max: e.target.value },
+                })
+              }
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">開放登錄時間（起）</span>
+            <input
+              type="datetime-local"
+              value={toLocalInputValue(draft.startAt)}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  startAt: fromLocalInputValue(e.target.value),
+                })
+              }
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">開放登錄時間（迄）</span>
+            <input
+              type="datetime-local"
+              value={toLocalInputValue(draft.endAt)}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  endAt: fromLocalInputValue(e.target.value),
+                })
+              }
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">
+              得獎名單連結（活動結束後顯示）
+            </span>
+            <input
+              type="url"
+              value={draft.winnersUrl}
+              onChange={(e) =>
+                setDraft({ ...draft, winnersUrl: e.target.value.trim() })
+              }
+              placeholder="https://"
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">
+              兌換碼有效天數（發出當天起算）
+            </span>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={draft.couponValidDays}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  couponValidDays: toNumber(e.target.value),
+                })
+              }
+              className={inputClass}
+            />
+          </label>
+          <label className="block">
+            <span className="text-gray-600">大獎資格（消費滿幾小時）</span>
+            <input
+              type="number"
+              min="1"
+              value={draft.grandMinDuration}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  grandMinDuration: toNumber(e.target.value),
+                })
+              }
+              className={inputClass}
+            />
+          </label>
+        </div>
+      </div>
+
+      {/* 直播大獎 */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-bold text-gray-700 mb-3">直播大獎</h3>
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="p-2">代碼</th>
+              <th className="p-2">獎項</th>
+              <th className="p-2">獎品</th>
+              <th className="p-2">名額</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {draft.grandPrizes.map((g, i) => (
+              <tr key={i}>
+                <td className="p-2">
+                  <input
+                    value={g.id}
+                    onChange={(e) =>
+                      updateGrandPrize(i, { id: e.target.value.trim() })
+                    }
+                    className={`${inputClass} font-mono w-28`}
+                  />
+                </td>
+                <td className="p-2">
+                  <input
+                    value={g.name}
+                    onChange={(e) =>
+                      updateGrandPrize(i, { name: e.target.value })
+                    }
+                    className={inputClass}
+                  />
+                </td>
+                <td className="p-2">
+                  <input
+                    value={g.prize}
+                    onChange={(e) =>
+                      updateGrandPrize(i, { prize: e.target.value })
+                    }
+                    className={inputClass}
+                  />
+                </td>
+                <td className="p-2">
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={g.count}
+                    onChange={(e) =>
+                      updateGrandPrize(i, { count: toNumber(e.target.value) })
+                    }
+                    className={`${inputClass} w-20`}
+                  />
+                </td>
+                <td className="p-2">
+                  <button
+                    onClick={() =>
+                      setDraft({
+                        ...draft,
+                        grandPrizes: draft.grandPrizes.filter(
+                          (_, j) => j !== i,
+                        ),
+                      })
+                    }
+                    className="text-xs text-red-500 hover:text-red-700"
+                  >
+                    刪除
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <button
+          onClick={() =>
+            setDraft({
+              ...draft,
+              grandPrizes: [
+                ...draft.grandPrizes,
+                {
+                  id: `grand_${Date.now().toString(36)}`,
+                  name: "",
+                  prize: "",
+                  count: 1,
+                },
+              ],
+            })
+          }
+          className="mt-3 px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+        >
+          ＋ 新增大獎
+        </button>
+      </div>
+
+      {/* 分店與包廂 */}
+      <div className="bg-white rounded-lg shadow p-4">
+        <h3 className="font-bold text-gray-700 mb-3">分店與包廂</h3>
+        <div className="space-y-4">
+          {draft.branches.map((b, i) => (
+            <div key={i} className="border border-gray-200 rounded p-3">
+              <div className="flex gap-2 items-center mb-2">
+                <input
+                  value={b.name}
+                  onChange={(e) =>
+                    updateBranch(i, { name: e.target.value.trim() })
+                  }
+                  className={`${inputClass} font-bold w-40`}
+                />
+                <button
+                  onClick={() =>
+                    setDraft({
+                      ...draft,
+                      branches: draft.branches.filter((_, j) => j !== i),
+                    })
+                  }
+                  className="ml-auto text-xs text-red-500 hover:text-red-700"
+                >
+                  刪除分店
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-2 items-center">
+                {b.rooms.map((r, j) => (
+                  <span
+                    key={`${r}-${j}`}
+                    className="inline-flex items-center gap-1 px-2 py-1 bg-gray-100 rounded text-sm"
+                  >
+                    {r}
+                    <button
+                      onClick={() =>
+                        updateBranch(i, {
+                          rooms: b.rooms.filter((_, k) => k !== j),
+                        })
+                      }
+                      className="text-gray-400 hover:text-red-500"
+                      title="刪除包廂"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <input
+                  value={newRooms[i] || ""}
+                  onChange={(e) =>
+                    setNewRooms({ ...newRooms, [i]: e.target.value })
+                  }
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") {
+                      e.preventDefault();
+                      addRoom(i);
+                    }
+                  }}
+                  placeholder="新增包廂"
+                  className="px-2 py-1 border border-gray-300 rounded text-sm w-24"
+                />
+                <button
+                  onClick={() => addRoom(i)}
+                  className="px-2 py-1 text-xs bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+                >
+                  ＋
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() =>
+            setDraft({
+              ...draft,
+              branches: [...draft.branches, { name: "", rooms: [] }],
+            })
+          }
+          className="mt-3 px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+        >
+          ＋ 新增分店
+        </button>
+      </div>
+
+      {/* 變更預覽 */}
+      <div className="bg-white rounded-lg shadow p-4 sticky bottom-0">
+        <h3 className="font-bold text-gray-700 mb-2">變更預覽</h3>
+        {changes.length === 0 ? (
+          <p className="text-sm text-gray-400">尚無變更</p>
+        ) : (
+          <ul className="text-sm text-gray-600 list-disc pl-5 space-y-1 max-h-40 overflow-y-auto">
+            {changes.map((c, i) => (
+              <li key={i}>{c}</li>
+            ))}
+          </ul>
+        )}
+        {errors.length > 0 && (
+          <ul className="mt-3 text-sm text-red-600 bg-red-50 border border-red-200 rounded p-2 space-y-1">
+            {errors.map((err, i) => (
+              <li key={i} className="flex items-center gap-1">
+                <XCircle size={14} /> {err}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="flex gap-2 justify-end mt-3">
+          <button
+            onClick={() => setDraft(JSON.parse(JSON.stringify(campaign)))}
+            disabled={saving || changes.length === 0}
+            className="px-4 py-2 text-sm bg-gray-200 text-gray-700 rounded hover:bg-gray-300 disabled:opacity-50"
+          >
+            還原
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || errors.length > 0 || changes.length === 0}
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded hover:bg-blue-500 disabled:opacity-50 flex items-center gap-2"
+          >
+            {saving && <Loader2 className="animate-spin w-4 h-4" />}
+            儲存設定
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// --- Sub-Component: Prize Simulator（獎項模擬） ---
+// 以編輯中的獎項設定模擬整個活動期間，估算各獎項發出數量、成本與限量獎項發完的時間
+// 單位成本只用於試算，不會儲存到活動設定
+const SIMULATION_RUNS = [100, 500, 2000];
+const SIMULATION_MAX_DAYS = 366;
+// 分段計算，每段約處理這麼多筆登錄後讓出主執行緒更新進度，避免畫面卡住
+const SIMULATION_CHUNK_ENTRIES = 20000;
+// 模擬的總登錄筆數上限（每天登錄數 × 天數 × 模擬次數）
+const SIMULATION_MAX_ENTRIES = 5000000;
+
+function PrizeSimulator({ campaign }) {
+  const { min, max } = campaign.dateRange || {};
+  const campaignDays =
+    Math.round((Date.parse(max) - Date.parse(min)) / 86400000) + 1;
+  const [entriesPerDay, setEntriesPerDay] = useState({}); // 各分店每天平均登錄數
+  const [days, setDays] = useState(
+    campaignDays > 0 && campaignDays <= SIMULATION_MAX_DAYS ? campaignDays : 28,
+  );
+  const [runs, setRuns] = useState(500);
+  const [costs, setCosts] = useState({}); // 各獎項單位成本（元）
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null); // 模擬中的完成比例，未執行時為 null
+  const simulationRef = useRef(null); // 進行中的模擬，換成其他值時停止計算
+
+  // 獎項設定變更後舊的結果不再適用，進行中的模擬也一併停止
+  const prizesKey = JSON.stringify([campaign.prizes, campaign.fallbackPrizeId]);
+  useEffect(() => {
+    simulationRef.current = null;
+    setProgress(null);
+    setResult(null);
+  }, [prizesKey]);
+  useEffect(
+    () => () => {
+      simulationRef.current = null;
+    },
+    [],
+  );
+
+  const errors = validateCampaign(campaign);
+  const branchEntries = campaign.branches.map((b) => ({
+    name: b.name,
+    value: entriesPerDay[b.name] ?? 20,
+  }));
+  const totalPerDay = branchEntries.reduce(
+    (sum, b) => sum + (Number(b.value) || 0),
+    0,
+  );
+  const tooManyEntries = totalPerDay * days * runs > SIMULATION_MAX_ENTRIES;
+  const fallbackPrize = campaign.prizes.find(
+    (p) => p.id === campaign.fallbackPrizeId,
+  );
+  const running = progress !== null;
+
+  // 分段計算，每段之間以 setTimeout 讓出主執行緒，畫面可更新進度
+  const runSimulation = () => {
+    const simulation = createPrizeSimulation(campaign, {
+      entriesPerDay: Object.fromEntries(
+        branchEntries.map((b) => [b.name, Number(b.value) || 0]),
+      ),
+      days,
+      runs,
+    });
+    simulationRef.current = simulation;
+    setProgress(0);
+    const runChunk = () => {
+      if (simulationRef.current !== simulation) return;
+      if (simulation.step(SIMULATION_CHUNK_ENTRIES)) {
+        simulationRef.current = null;
+        setResult(simulation.result());
+        setProgress(null);
+        return;
+      }
+      setProgress(simulation.progress());
+      setTimeout(runChunk, 0);
+    };
+    setTimeout(runChunk, 0);
+  };
+
+  const getCost = (id) => Number(costs[id]) || 0;
+  const totalCost = result
+    ? result.prizes.reduce((sum, p) => sum + p.count * getCost(p.id), 0)
+    : 0;
+  const formatCount = (v) =>
+    v.toLocaleString("zh-TW", { maximumFractionDigits: 1 });
+  const percent = (v) => `${+(v * 100).toFixed(1)}%`;
+  const dayLabel = (day) => {
+    const date = new Date(Date.parse(`${min}T00:00:00Z`) + day * 86400000);
+    return Number.isNaN(date.getTime())
+      ? `第 ${day + 1} 天`
+      : `第 ${day + 1} 天（${date.toISOString().slice(5, 10)}）`;
+  };
+
+  const inputClass =
+    "w-24 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:border-blue-500";
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h3 className="font-bold text-gray-700 mb-1">獎項模擬</h3>
+      <p className="text-xs text-gray-500 mb-3">
+        依上方獎項機率與數量上限模擬整個活動期間的發獎，每天登錄數以平均值隨機波動；
+        限量獎項從 0 開始計算
+      </p>
+
+      <div className="flex flex-wrap gap-3 mb-3 text-sm">
+        {branchEntries.map((b) => (
+          <label key={b.name} className="flex flex-col text-gray-600">
+            <span className="text-xs">{b.name}（每天）</span>
+            <input
+              type="number"
+              min="0"
+              value={b.value}
+              onChange={(e) =>
+                setEntriesPerDay({ ...entriesPerDay, [b.name]: e.target.value })
+              }
+              className={inputClass}
+            />
+          </label>
+        ))}
+        <label className="flex flex-col text-gray-600">
+          <span className="text-xs">活動天數</span>
+          <input
+            type="number"
+            min="1"
+            max={SIMULATION_MAX_DAYS}
+            value={days}
+            onChange={(e) =>
+              setDays(
+                Math.min(
+                  SIMULATION_MAX_DAYS,
+                  Math.max(1, parseInt(e.target.value) || 1),
+                ),
+              )
+            }
+            className={inputClass}
+          />
+        </label>
+        <label className="flex flex-col text-gray-600">
+          <span className="text-xs">模擬次數</span>
+          <select
+            value={runs}
+            onChange={(e) => setRuns(Number(e.target.value))}
+            className="px-2 py-1 border border-gray-300 rounded"
+          >
+            {SIMULATION_RUNS.map((n) => (
+              <option key={n} value={n}>
+                {n} 次
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex items-end">
+          <button
+            onClick={runSimulation}
+            disabled={
+              running || errors.length > 0 || totalPerDay <= 0 || tooManyEntries
+            }
+            className="px-4 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded flex items-center gap-2"
+          >
+            {running && <Loader2 className="animate-spin w-4 h-4" />}
+            {running ? `模擬中 ${Math.floor(progress * 100)}%` : "開始模擬"}
+          </button>
+        </div>
+      </div>
+      {errors.length > 0 && (
+        <p className="text-xs text-red-600 mb-3">請先修正活動設定錯誤再模擬</p>
+      )}
+      {tooManyEntries && (
+        <p className="text-xs text-red-600 mb-3">
+          模擬筆數過多（每天登錄數 × 天數 × 模擬次數超過{" "}
+          {SIMULATION_MAX_ENTRIES.toLocaleString("zh-TW")}{" "}
+          筆），請減少模擬次數或天數
+        </p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-gray-50 text-gray-600">
+            <tr>
+              <th className="p-2">獎項</th>
+              <th className="p-2">單位成本（元）</th>
+              <th className="p-2 text-right">預估發出數量</th>
+              <th className="p-2 text-right">預估成本</th>
+              <th className="p-2 text-right">數量上限</th>
+              <th className="p-2 text-right">發完機率</th>
+              <th className="p-2">預計發完</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {campaign.prizes.map((p, i) => {
+              const simulated = result?.prizes.find((r) => r.id === p.id);
+              return (
+                <tr key={i}>
+                  <td className="p-2">{p.name || p.id}</td>
+                  <td className="p-2">
+                    <input
+                      type="number"
+                      min="0"
+                      value={costs[p.id] ?? ""}
+                      onChange={(e) =>
+                        setCosts({ ...costs, [p.id]: e.target.value })
+                      }
+                      placeholder="0"
+                      className={inputClass}
+                    />
+                  </td>
+                  <td className="p-2 text-right font-mono">
+                    {simulated ? formatCount(simulated.count) : "-"}
+                  </td>
+                  <td className="p-2 text-right font-mono">
+                    {simulated
+                      ? `$${formatCount(simulated.count * getCost(p.id))}`
+                      : "-"}
+                  </td>
+                  <td className="p-2 text-right font-mono text-gray-500">
+                    {p.limit === -1 ? "不限" : p.limit}
+                  </td>
+                  <td
+                    className={`p-2 text-right font-mono ${
+                      simulated?.soldOutRate > 0.5
+                        ? "text-red-600 font-bold"
+                        : ""
+                    }`}
+                  >
+                    {simulated && p.limit !== -1
+                      ? percent(simulated.soldOutRate)
+                      : "-"}
+                  </td>
+                  <td className="p-2 whitespace-nowrap">
+                    {simulated && p.limit !== -1
+                      ? simulated.soldOutDay === null
+                        ? "多半不會發完"
+                        : dayLabel(simulated.soldOutDay)
+                      : "-"}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {result && (
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3 text-sm">
+          <div className="bg-gray-50 rounded p-3">
+            <div className="text-xs text-gray-500">平均總登錄數</div>
+            <div className="text-xl font-bold text-gray-800">
+              {formatCount(result.entries)}
+            </div>
+          </div>
+          <div className="bg-gray-50 rounded p-3">
+            <div className="text-xs text-gray-500">預估總成本</div>
+            <div className="text-xl font-bold text-gray-800">
+              ${formatCount(totalCost)}
+            </div>
+          </div>
+          <div className="bg-gray-50 rounded p-3">
+            <div className="text-xs text-gray-500">
+              庫存不足改發「{fallbackPrize?.name || campaign.fallbackPrizeId}」
+            </div>
+            <div
+              className={`text-xl font-bold ${
+                result.fallbacks > 0 ? "text-orange-600" : "text-gray-800"
+              }`}
+            >
+              {percent(result.fallbackRate)}
+              <span className="text-sm font-normal text-gray-500">
+                （平均 {formatCount(result.fallbacks)} 次）
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Sub-Component: Grand Draw Stage (直播開獎大螢幕) ---
+const DRAW_ROLLING_MS = 3000; // 數字滾動的最短時間，讓直播觀眾看得到抽獎過程
+
+function GrandDrawStage({
+  campaign,
+  entrants,
+  winners,
+  onDraw,
+  onForfeit,
+  drawState,
+  hasSeed,
+  onCommit,
+  onRestoreSeed,
+  onReveal,
+  onExport,
+  onExit,
+}) {
+  const tiers = campaign.grandPrizes;
+  const activeCount = (tierId) =>
+    winners.filter((w) => w.tierId === tierId && w.status === "won").length;
+  const firstOpenTier = tiers.find((t) => activeCount(t.id) < t.count);
+
+  const [tierId, setTierId] = useState((firstOpenTier || tiers[0])?.id);
+  const [rolling, setRolling] = useState(false);
+  const [display, setDisplay] = useState("------");
+  const [lastWinner, setLastWinner] = useState(null);
+  const [checkSerial, setCheckSerial] = useState(""); // 核對觀眾唸出的序號
+
+  const tier = tiers.find((t) => t.id === tierId) || tiers[0];
+  const wonSerials = winners.map((w) => w.serial);
+  const remaining = entrants.filter(
+    (e) => !wonSerials.includes(e.grandDrawSerial),
+  );
+  const tierFull = activeCount(tier.id) >= tier.count;
+  // 已公開種子雜湊、本機有種子且尚未公開種子時才能抽
+  const canDraw = !!drawState && hasSeed && !drawState.seed;
+
+  const startDraw = async (drawTier) => {
+    if (rolling) return;
+    setRolling(true);
+    setLastWinner(null);
+
+    // 滾動顯示候選序號
+    const timer = setInterval(() => {
+      const pick = remaining[Math.floor(Math.random() * remaining.length)];
+      setDisplay(pick?.grandDrawSerial || "------");
+    }, 60);
+
+    const [winner] = await Promise.all([
+      onDraw(drawTier),
+      new Promise((resolve) => setTimeout(resolve, DRAW_ROLLING_MS)),
+    ]);
+    clearInterval(timer);
+    setRolling(false);
+    setDisplay(winner ? winner.serial : "------");
+    setLastWinner(winner);
+  };
+
+  // 核對序號：先驗檢查碼，再查是否為參加序號/得獎序號
+  const describeCheckSerial = () => {
+    const serial = checkSerial.trim();
+    if (!serial) return null;
+    if (!isValidSerial(serial)) {
+      return {
+        ok: false,
+        text: "序號格式或檢查碼錯誤，請再確認是否唸錯或打錯",
+      };
+    }
+    const winner = winners.find((w) => w.serial === serial);
+    if (winner) {
+      return {
+        ok: winner.status === "won",
+        text:
+          winner.status === "won"
+            ? `✅ ${winner.tierName} 得獎者（${maskPhone(winner.phone)}．${winner.branch}）`
+            : `已因「${winner.forfeitReason}」取消得獎資格`,
+      };
+    }
+    const entrant = entrants.find((e) => e.grandDrawSerial === serial);
+    return entrant
+      ? { ok: true, text: "有效的參加序號，尚未中獎" }
+      : { ok: false, text: "檢查碼正確，但不在參加名單中" };
+  };
+  const checkResult = describeCheckSerial();
+
+  const handleRedraw = async (winner) => {
+    const reason = prompt(
+      `序號 ${winner.serial}（${winner.tierName}）未到場，請輸入重抽原因：`,
+    );
+    if (!reason || !reason.trim()) return;
+    const ok = await onForfeit(winner, reason.trim());
+    if (!ok) return;
+    const redrawTier = tiers.find((t) => t.id === winner.tierId);
+    if (redrawTier) {
+      setTierId(redrawTier.id);
+      startDraw(redrawTier);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-red-950 to-red-900 text-yellow-50 p-6 flex flex-col items-center">
+      {/* Header */}
+      <div className="w-full max-w-5xl flex justify-between items-start">
+        <div>
+          <h2 className="text-lg font-bold tracking-widest text-yellow-200">
+            桃園闆娘麻將館
+          </h2>
+          <h1 className="text-4xl font-extrabold text-transparent bg-clip-text bg-gradient-to-b from-yellow-300 to-yellow-600">
+            直播抽大獎
+          </h1>
+        </div>
+        <div className="text-right">
+          <button
+            onClick={onExit}
+            disabled={rolling}
+            className="text-sm text-red-300 hover:text-yellow-200 disabled:opacity-50"
+          >
+            返回後台
+          </button>
+          <div className="mt-2 text-xs text-red-200">
+            參加序號 {entrants.length} 筆．尚可抽出 {remaining.length} 筆
+          </div>
+        </div>
+      </div>
+
+      {/* Tier Selector */}
+      <div className="mt-8 flex flex-wrap justify-center gap-3">
+        {tiers.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => setTierId(t.id)}
+            disabled={rolling}
+            className={`px-5 py-2 rounded-full border font-bold transition-colors ${
+              t.id === tier.id
+                ? "bg-yellow-400 text-red-900 border-yellow-300"
+                : "bg-red-800/60 text-yellow-100 border-red-700 hover:bg-red-800"
+            }`}
+          >
+            {t.name} {t.prize}（{activeCount(t.id)}/{t.count}）
+          </button>
+        ))}
+      </div>
+
+      {/* Big Number */}
+      <div className="mt-10 w-full max-w-3xl bg-black/30 border-4 border-yellow-500/60 rounded-3xl py-12 text-center shadow-2xl">
+        <div className="text-2xl text-yellow-200 font-bold mb-4">
+          {tier.name}．{tier.prize}
+        </div>
+        <div
+          className={`text-8xl md:text-9xl font-mono font-black tracking-widest ${
+            rolling ? "text-yellow-100/80" : "text-yellow-300 drop-shadow-lg"
+          }`}
+        >
+          {display}
+        </div>
+        <div className="h-10 mt-4 text-xl text-yellow-100">
+          {lastWinner &&
+            `🎉 恭喜 ${maskPhone(lastWinner.phone)}（${lastWinner.branch}）`}
+        </div>
+      </div>
+
+      <button
+        onClick={() => startDraw(tier)}
+        disabled={rolling || !canDraw || tierFull || remaining.length === 0}
+        className="mt-8 px-12 py-4 bg-gradient-to-r from-yellow-400 to-yellow-600 hover:from-yellow-300 hover:to-yellow-500 disabled:from-gray-500 disabled:to-gray-600 disabled:text-gray-300 text-red-900 text-2xl font-black rounded-full shadow-xl transition-colors"
+      >
+        {rolling
+          ? "抽獎中..."
+          : !canDraw
+            ? drawState?.seed
+              ? "抽獎已結束"
+              : "請先公開種子雜湊"
+            : tierFull
+              ? `${tier.name}名額已抽完`
+              : remaining.length === 0
+                ? "已無可抽序號"
+                : `🎰 抽出${tier.name}`}
+      </button>
+
+      {/* 公正性驗證資訊 */}
+      <div className="mt-8 w-full max-w-3xl bg-black/20 border border-yellow-500/30 rounded-2xl p-4 text-xs">
+        {drawState ? (
+          <div className="space-y-1 font-mono break-all">
+            <div>
+              <span className="text-yellow-300">種子雜湊 SHA-256：</span>
+              {drawState.seedHash}
+            </div>
+            <div>
+              <span className="text-yellow-300">
+                名單雜湊（{drawState.entrantCount} 筆）：
+              </span>
+              {drawState.entrantsHash}
+            </div>
+            <div>
+              <span className="text-yellow-300">
+                drand 第 {drawState.beaconRound} 回合（
+                {new Date(getBeaconTime(drawState.beaconRound)).toLocaleString(
+                  "zh-TW",
+                )}
+                ）：
+              </span>
+              {drawState.beaconRandomness || "第一次抽獎時取得"}
+            </div>
+            {drawState.seed && (
+              <div>
+                <span className="text-yellow-300">種子（已公開）：</span>
+                {drawState.seed}
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="text-red-200">
+            抽獎前請先產生種子：畫面會公開種子雜湊、名單雜湊與約 1 分鐘後的
+            drand
+            公開亂數回合，抽完後再公開種子，任何人都可用匯出的名單重跑驗證。
+          </div>
+        )}
+        <div className="mt-3 flex flex-wrap gap-2">
+          {!drawState && (
+            <button
+              onClick={onCommit}
+              disabled={rolling || entrants.length === 0}
+              className="px-3 py-1 bg-yellow-500 hover:bg-yellow-400 text-red-900 font-bold rounded disabled:opacity-50"
+            >
+              產生種子並公開雜湊
+            </button>
+          )}
+          {drawState && !drawState.seed && !hasSeed && (
+            <button
+              onClick={onRestoreSeed}
+              className="px-3 py-1 bg-yellow-500 hover:bg-yellow-400 text-red-900 font-bold rounded"
+            >
+              輸入種子
+            </button>
+          )}
+          {canDraw && (
+            <button
+              onClick={onReveal}
+              disabled={rolling}
+              className="px-3 py-1 bg-red-800 hover:bg-red-700 border border-red-600 rounded disabled:opacity-50"
+            >
+              抽獎結束，公開種子
+            </button>
+          )}
+          <button
+            onClick={onExport}
+            disabled={rolling}
+            className="px-3 py-1 bg-red-800 hover:bg-red-700 border border-red-600 rounded disabled:opacity-50"
+          >
+            匯出名單與抽獎紀錄 (JSON)
+          </button>
+        </div>
+      </div>
+
+      {/* 核對序號 */}
+      <div className="mt-4 w-full max-w-3xl flex flex-wrap items-center gap-3 text-sm">
+        <input
+          value={checkSerial}
+          onChange={(e) => setCheckSerial(e.target.value.replace(/\D/g, ""))}
+          maxLength="7"
+          placeholder="輸入序號核對"
+          className="w-40 px-3 py-1 bg-black/30 border border-yellow-500/40 rounded font-mono text-yellow-100 placeholder-red-300/60 focus:outline-none focus:border-yellow-400"
+        />
+        {checkResult && (
+          <span className={checkResult.ok ? "text-green-300" : "text-red-300"}>
+            {checkResult.text}
+          </span>
+        )}
+      </div>
+
+      {/* Winners Board */}
+      <div className="mt-10 w-full max-w-5xl grid grid-cols-1 md:grid-cols-3 gap-4">
+        {tiers.map((t) => (
+          <div
+            key={t.id}
+            className="bg-white/10 border border-yellow-500/30 rounded-2xl p-4"
+          >
+            <h3 className="font-bold text-yellow-300 mb-2">
+              {t.name}．{t.prize}
+            </h3>
+            {winners.filter((w) => w.tierId === t.id).length === 0 ? (
+              <div className="text-sm text-red-300">尚未抽出</div>
+            ) : (
+              <ul className="space-y-2">
+                {winners
+                  .filter((w) => w.tierId === t.id)
+                  .map((w) => (
+                    <li
+                      key={w.id}
+                      className={`text-sm ${
+                        w.status === "won" ? "" : "opacity-50 line-through"
+                      }`}
+                    >
+                      <div className="flex justify-between items-center gap-2">
+                        <span className="font-mono font-bold text-lg">
+                          {w.serial}
+                        </span>
+                        <span className="text-red-200">
+                          {maskPhone(w.phone)}．{w.branch}
+                        </span>
+                        {w.status === "won" && canDraw && (
+                          <button
+                            onClick={() => handleRedraw(w)}
+                            disabled={rolling}
+                            className="px-2 py-0.5 text-xs bg-red-800 hover:bg-red-700 border border-red-600 rounded disabled:opacity-50"
+                          >
+                            未到場重抽
+                          </button>
+                        )}
+                      </div>
+                      {w.status === "forfeited" && (
+                        <div className="text-xs text-red-300 no-underline">
+                          重抽原因：{w.forfeitReason}
+                        </div>
+                      )}
+                    </li>
+                  ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
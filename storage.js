@@ -0,0 +1,496 @@
+// 資料存取層：前台與後台的讀寫都經由 backend 介面，不直接呼叫 Firestore SDK
+// 瀏覽器端以 <script> 載入（掛在 window.LotteryStorage），測試時以 require 載入
+//
+// 路徑皆相對於 artifacts/{appId}/public/data，例如 "orders/abc"、"config/campaign"
+// backend 介面：
+//   name                          "firestore" | "emulator" | "local"
+//   getDoc(path)                  文件資料，不存在時為 null
+//   getDocs(collection, query)    [{ id, ...data }]
+//   count(collection, query)      符合 query.where 的文件數，由伺服器端計數、不讀取文件內容
+//   subscribe(collection, query, onNext, onError)
+//                                 即時訂閱，回傳 unsubscribe；onNext({ rows, changes })，
+//                                 changes 為 [{ type: "added" | "modified" | "removed", id, data, pending }]，
+//                                 pending 表示本機寫入、尚未經伺服器確認的變更
+//   newId(collection)             產生新文件 ID（稽核紀錄先取 ID 再於同一批次寫入）
+//   batch()                       { set(path, data, options), update(path, data), commit() }
+//   runTransaction(fn)            fn(tx)：tx.get(path) 回傳文件資料或 null，tx.set / tx.update 同 batch
+//   serverTimestamp()             寫入時由後端填入的時間
+//   call(name, data, options)     呼叫 Cloud Functions（callable）並回傳結果；options.timeout 為毫秒
+//   onAuthStateChanged(cb)        工作人員登入狀態 cb({ uid, email } | null)，回傳 unsubscribe
+//   signIn(email, password)       回傳 { uid, email }
+//   signOut()
+// query 格式：{ where: [[field, op, value], ...], orderBy: [[field, "asc" | "desc"], ...], limit, startAfter }
+//   startAfter：文件 ID，從該文件之後開始取（分頁游標，僅 getDocs 支援）
+// 錯誤沿用 Firestore / Cloud Functions 的 code（permission-denied、functions/already-exists…）
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./functions/lottery-core"));
+  } else {
+    root.LotteryStorage = factory(root.LotteryCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (core) {
+  // Firestore 安全規則拒絕存取
+  const isPermissionDenied = (err) =>
+    err?.code === "permission-denied" ||
+    err?.message?.includes("permission") ||
+    err?.message?.includes("Missing or insufficient permissions");
+
+  // --- Firestore ---
+  // sdk：index.html 掛在 window 上的 { app, firestore, auth, functions } 模組
+  // emulator：{ host, firestorePort, authPort, functionsPort }，有值時連線到本機 Firebase emulator
+  const createFirestoreBackend = ({
+    appId,
+    config,
+    sdk,
+    region = "asia-east1",
+    emulator = null,
+  }) => {
+    const fs = sdk.firestore;
+    const app = sdk.app.initializeApp(config);
+    const db = fs.getFirestore(app);
+    const auth = sdk.auth?.getAuth ? sdk.auth.getAuth(app) : null;
+    const functions = sdk.functions?.getFunctions
+      ? sdk.functions.getFunctions(app, region)
+      : null;
+    if (emulator) {
+      fs.connectFirestoreEmulator?.(db, emulator.host, emulator.firestorePort);
+      if (auth) {
+        sdk.auth.connectAuthEmulator?.(
+          auth,
+          `http://${emulator.host}:${emulator.authPort}`,
+        );
+      }
+      if (functions) {
+        sdk.functions.connectFunctionsEmulator?.(
+          functions,
+          emulator.host,
+          emulator.functionsPort,
+        );
+      }
+    }
+
+    const dataPath = ["artifacts", appId, "public", "data"];
+    const docRef = (path) => fs.doc(db, ...dataPath, ...path.split("/"));
+    const colRef = (name) => fs.collection(db, ...dataPath, ...name.split("/"));
+    const buildQuery = (name, { where = [], orderBy, limit } = {}, cursor) =>
+      fs.query(
+        colRef(name),
+        ...where.map(([field, op, value]) => fs.where(field, op, value)),
+        ...(orderBy || []).map(([field, dir]) => fs.orderBy(field, dir)),
+        ...(cursor ? [fs.startAfter(cursor)] : []),
+        ...(limit ? [fs.limit(limit)] : []),
+      );
+    const toRow = (d) => ({ id: d.id, ...d.data() });
+    const toUser = (u) => (u ? { uid: u.uid, email: u.email } : null);
+    const wrapWriter = (writer) => ({
+      set: (path, data, options) => writer.set(docRef(path), data, options),
+      update: (path, data) => writer.update(docRef(path), data),
+    });
+
+    return {
+      getDoc: async (path) => {
+        const snap = await fs.getDoc(docRef(path));
+        return snap.exists() ? snap.data() : null;
+      },
+      getDocs: async (name, query) => {
+        // 游標以文件快照傳入，Firestore 會依查詢的排序欄位定位
+        const cursor = query?.startAfter
+          ? await fs.getDoc(docRef(`${name}/${query.startAfter}`))
+          : null;
+        const snap = await fs.getDocs(buildQuery(name, query, cursor));
+        return snap.docs.map(toRow);
+      },
+      count: async (name, query) => {
+        const snap = await fs.getCountFromServer(
+          buildQuery(name, { where: query?.where }),
+        );
+        return snap.data().count;
+      },
+      subscribe: (name, query, onNext, onError) =>
+        fs.onSnapshot(
+          buildQuery(name, query),
+          (snap) =>
+            onNext({
+              rows: snap.docs.map(toRow),
+              changes: snap.docChanges().map((change) => ({
+                type: change.type,
+                id: change.doc.id,
+                data: change.doc.data(),
+                pending: change.doc.metadata.hasPendingWrites,
+              })),
+            }),
+          onError,
+        ),
+      newId: (name) => fs.doc(colRef(name)).id,
+      batch: () => {
+        const batch = fs.writeBatch(db);
+        return { ...wrapWriter(batch), commit: () => batch.commit() };
+      },
+      runTransaction: (fn) =>
+        fs.runTransaction(db, (transaction) =>
+          fn({
+            ...wrapWriter(transaction),
+            get: async (path) => {
+              const snap = await transaction.get(docRef(path));
+              return snap.exists() ? snap.data() : null;
+            },
+          }),
+        ),
+      serverTimestamp: () => fs.serverTimestamp(),
+      call: async (name, data, options) => {
+        const callable = sdk.functions.httpsCallable(functions, name, options);
+        const { data: result } = await callable(data);
+        return result;
+      },
+      onAuthStateChanged: (cb) =>
+        sdk.auth.onAuthStateChanged(auth, (u) => cb(toUser(u))),
+      signIn: async (email, password) => {
+        const cred = await sdk.auth.signInWithEmailAndPassword(
+          auth,
+          email,
+          password,
+        );
+        return toUser(cred.user);
+      },
+      signOut: () => sdk.auth.signOut(auth),
+    };
+  };
+
+  // --- Firestore Emulator ---
+  // 埠號對應 firebase.json 的 emulators 設定
+  const EMULATOR_DEFAULTS = {
+    host: "127.0.0.1",
+    firestorePort: 8080,
+    authPort: 9099,
+    functionsPort: 5001,
+  };
+
+  const createEmulatorBackend = (options) =>
+    createFirestoreBackend({
+      ...options,
+      emulator: { ...EMULATOR_DEFAULTS, ...options.emulator },
+    });
+
+  // --- Local（記憶體 / localStorage） ---
+  // 不需網路即可執行整個 App 與測試：資料存在記憶體，傳入 storage（例如 window.localStorage）時同步保存。
+  // Cloud Functions 的 submitEntry / markRevealed / lookupEntries 在本機執行 lottery-core 的同一套流程，
+  // 但不發送中獎通知、不限制查詢次數；也不套用 firestore.rules，權限只由畫面上的 canEditBranch 等檢查把關
+  //   seed：初始文件 { [path]: data }，只在沒有保存資料時寫入
+  //   users：可登入的工作人員帳號 [{ uid, email, password }]，對應的 staff/{uid} 文件需放在 seed
+
+  // 未指定 users 時提供一組本機老闆帳號，方便離線操作後台
+  const LOCAL_DEMO_USERS = [
+    { uid: "local-owner", email: "owner@local.test", password: "local-owner" },
+  ];
+  const LOCAL_DEMO_SEED = {
+    "staff/local-owner": {
+      name: "本機老闆",
+      email: "owner@local.test",
+      role: "owner",
+      branches: [],
+    },
+  };
+
+  // 與 Firestore Timestamp 相同的欄位與方法（seconds、toMillis、toDate）
+  const createTimestamp = (millis) => ({
+    seconds: Math.floor(millis / 1000),
+    nanoseconds: (millis % 1000) * 1e6,
+    toMillis: () => millis,
+    toDate: () => new Date(millis),
+    toJSON: () => ({ __ts: millis }),
+  });
+
+  const SERVER_TIMESTAMP = { __serverTimestamp: true };
+
+  // 寫入前的值轉換：Date 與 serverTimestamp() 轉為 Timestamp（同 Firestore 寫入後讀回的型態）
+  const resolveValue = (value, now) => {
+    if (value === SERVER_TIMESTAMP) return createTimestamp(now);
+    if (value instanceof Date) return createTimestamp(value.getTime());
+    if (value?.toMillis) return value;
+    if (Array.isArray(value)) return value.map((v) => resolveValue(v, now));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, resolveValue(v, now)]),
+      );
+    }
+    return value;
+  };
+
+  const encode = (value) => JSON.stringify(value);
+  const decode = (text) =>
+    JSON.parse(text, (key, value) =>
+      value && typeof value === "object" && "__ts" in value
+        ? createTimestamp(value.__ts)
+        : value,
+    );
+  const clone = (value) => (value == null ? null : decode(encode(value)));
+
+  // 查詢條件比較時 Timestamp / Date 以毫秒數比較
+  const comparable = (v) =>
+    v?.toMillis ? v.toMillis() : v instanceof Date ? v.getTime() : v;
+  const hasValue = (v) => v !== undefined && v !== null;
+  const QUERY_OPS = {
+    "==": (a, b) => a === b,
+    "!=": (a, b) => hasValue(a) && a !== b,
+    "<": (a, b) => hasValue(a) && a < b,
+    "<=": (a, b) => hasValue(a) && a <= b,
+    ">": (a, b) => hasValue(a) && a > b,
+    ">=": (a, b) => hasValue(a) && a >= b,
+    in: (a, b) => b.map(comparable).includes(a),
+    "array-contains": (a, b) => Array.isArray(a) && a.includes(b),
+  };
+
+  const localError = (code, message) =>
+    Object.assign(new Error(message), { code });
+  const functionsError = (code, message) =>
+    localError(`functions/${code}`, message);
+
+  const randomId = () =>
+    Array.from(
+      { length: 20 },
+      () =>
+        "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789"[
+          Math.floor(Math.random() * 62)
+        ],
+    ).join("");
+
+  const createLocalBackend = ({
+    appId,
+    storage = null,
+    seed,
+    users = LOCAL_DEMO_USERS,
+  }) => {
+    const storageKey = `localBackend:${appId}`;
+    const authKey = `localBackendAuth:${appId}`;
+    const docs = new Map(); // path → data
+    const listeners = new Set();
+    const authListeners = new Set();
+
+    const saved = storage?.getItem(storageKey);
+    if (saved) {
+      Object.entries(decode(saved)).forEach(([path, data]) =>
+        docs.set(path, data),
+      );
+    } else {
+      const initial =
+        seed ?? (users === LOCAL_DEMO_USERS ? LOCAL_DEMO_SEED : {});
+      Object.entries(initial).forEach(([path, data]) =>
+        docs.set(path, resolveValue(data, Date.now())),
+      );
+    }
+    let currentUser = storage
+      ? decode(storage.getItem(authKey) || "null")
+      : null;
+
+    const persist = () => {
+      storage?.setItem(storageKey, encode(Object.fromEntries(docs)));
+    };
+
+    // 依 orderBy 比較兩筆資料，同值時依文件 ID（方向同最後一個排序欄位，與 Firestore 相同）
+    const compareRows = (orderBy) => (a, b) => {
+      for (const [field, dir = "asc"] of orderBy) {
+        const x = comparable(a[field]);
+        const y = comparable(b[field]);
+        if (x !== y) return (x > y ? 1 : -1) * (dir === "desc" ? -1 : 1);
+      }
+      const dir = orderBy[orderBy.length - 1]?.[1];
+      return (
+        (a.id > b.id ? 1 : a.id < b.id ? -1 : 0) * (dir === "desc" ? -1 : 1)
+      );
+    };
+
+    const query = (
+      name,
+      { where = [], orderBy = [], limit, startAfter } = {},
+    ) => {
+      const prefix = `${name}/`;
+      let rows = [...docs.entries()]
+        .filter(
+          ([path]) =>
+            path.startsWith(prefix) && !path.slice(prefix.length).includes("/"),
+        )
+        .map(([path, data]) => ({
+          id: path.slice(prefix.length),
+          ...clone(data),
+        }));
+      where.forEach(([field, op, value]) => {
+        if (!QUERY_OPS[op])
+          throw localError("invalid-argument", `不支援的查詢條件：${op}`);
+        rows = rows.filter((row) =>
+          QUERY_OPS[op](comparable(row[field]), comparable(value)),
+        );
+      });
+      const compare = compareRows(orderBy);
+      rows = rows
+        .filter((row) => orderBy.every(([field]) => hasValue(row[field])))
+        .sort(compare);
+      if (startAfter) {
+        const cursor = docs.get(`${prefix}${startAfter}`);
+        if (!cursor) {
+          throw localError("not-found", `No document: ${prefix}${startAfter}`);
+        }
+        const cursorRow = { id: startAfter, ...clone(cursor) };
+        rows = rows.filter((row) => compare(row, cursorRow) > 0);
+      }
+      return limit ? rows.slice(0, limit) : rows;
+    };
+
+    // 寫入：ops 為 [{ type: "set" | "update", path, data, options }]，全部檢查通過才套用
+    const applyWrites = (ops) => {
+      const now = Date.now();
+      ops.forEach(({ type, path }) => {
+        if (type === "update" && !docs.has(path)) {
+          throw localError("not-found", `No document to update: ${path}`);
+        }
+      });
+      ops.forEach(({ type, path, data, options }) => {
+        const value = resolveValue(data, now);
+        const merge = type === "update" || options?.merge;
+        docs.set(path, merge ? { ...docs.get(path), ...value } : value);
+      });
+      persist();
+      listeners.forEach((listener) => listener.run());
+    };
+
+    const createWriter = (ops) => ({
+      set: (path, data, options) =>
+        ops.push({ type: "set", path, data, options }),
+      update: (path, data) => ops.push({ type: "update", path, data }),
+    });
+
+    // transaction 依序執行，避免兩筆登錄同時讀到相同的限量計數
+    let transactionQueue = Promise.resolve();
+    const runTransaction = (fn) => {
+      const run = transactionQueue.then(async () => {
+        const ops = [];
+        const result = await fn({
+          ...createWriter(ops),
+          get: async (path) => clone(docs.get(path)),
+          query: async (name, q) => query(name, q),
+        });
+        applyWrites(ops);
+        return result;
+      });
+      transactionQueue = run.catch(() => {});
+      return run;
+    };
+
+    const notifyAuth = () => {
+      storage?.setItem(authKey, encode(currentUser));
+      authListeners.forEach((cb) => cb(currentUser));
+    };
+
+    const backend = {
+      getDoc: async (path) => clone(docs.get(path)),
+      getDocs: async (name, q) => query(name, q),
+      count: async (name, q) => query(name, { where: q?.where }).length,
+      subscribe: (name, q, onNext, onError) => {
+        let prev = null; // id → JSON
+        const listener = {
+          run: () => {
+            let rows;
+            try {
+              rows = query(name, q);
+            } catch (err) {
+              onError?.(err);
+              return;
+            }
+            const current = new Map(rows.map((row) => [row.id, encode(row)]));
+            const changes = [];
+            rows.forEach((row) => {
+              const type = !prev?.has(row.id)
+                ? "added"
+                : prev.get(row.id) !== current.get(row.id)
+                  ? "modified"
+                  : null;
+              if (type) {
+                const { id, ...data } = row;
+                changes.push({ type, id, data, pending: false });
+              }
+            });
+            prev?.forEach((json, id) => {
+              if (!current.has(id)) {
+                const { id: _, ...data } = decode(json);
+                changes.push({ type: "removed", id, data, pending: false });
+              }
+            });
+            if (prev && changes.length === 0) return;
+            prev = current;
+            onNext({ rows, changes });
+          },
+        };
+        listeners.add(listener);
+        setTimeout(() => listeners.has(listener) && listener.run(), 0);
+        return () => listeners.delete(listener);
+      },
+      newId: () => randomId(),
+      batch: () => {
+        const ops = [];
+        return {
+          ...createWriter(ops),
+          commit: async () => applyWrites(ops),
+        };
+      },
+      runTransaction,
+      serverTimestamp: () => SERVER_TIMESTAMP,
+      call: async (name, data) => {
+        if (!LOCAL_FUNCTIONS[name]) {
+          throw functionsError("not-found", `找不到函式 ${name}`);
+        }
+        return LOCAL_FUNCTIONS[name](data || {});
+      },
+      onAuthStateChanged: (cb) => {
+        authListeners.add(cb);
+        setTimeout(() => authListeners.has(cb) && cb(currentUser), 0);
+        return () => authListeners.delete(cb);
+      },
+      signIn: async (email, password) => {
+        const user = users.find((u) => u.email === email);
+        if (!user || user.password !== password) {
+          throw localError("auth/invalid-credential", "帳號或密碼錯誤");
+        }
+        currentUser = { uid: user.uid, email: user.email };
+        notifyAuth();
+        return currentUser;
+      },
+      signOut: async () => {
+        currentUser = null;
+        notifyAuth();
+      },
+    };
+
+    // --- 本機版 Cloud Functions（流程與 functions/index.js 相同，皆使用 lottery-core） ---
+    const store = {
+      getDoc: backend.getDoc,
+      query: async (name, q) => query(name, q),
+      runTransaction,
+      newId: () => randomId(),
+      serverTimestamp: () => SERVER_TIMESTAMP,
+      error: functionsError,
+    };
+    const LOCAL_FUNCTIONS = {
+      submitEntry: (data) => core.submitEntry(store, data, { notify: false }),
+      markRevealed: (data) => core.markRevealed(store, data),
+      lookupEntries: (data) => core.lookupEntries(store, data),
+    };
+
+    return backend;
+  };
+
+  const BACKENDS = {
+    firestore: createFirestoreBackend,
+    emulator: createEmulatorBackend,
+    local: createLocalBackend,
+  };
+
+  const createBackend = (name, options) => {
+    if (!BACKENDS[name]) throw new Error(`不支援的資料存取方式：${name}`);
+    return { name, ...BACKENDS[name](options) };
+  };
+
+  return {
+    BACKENDS,
+    createBackend,
+    isPermissionDenied,
+  };
+});
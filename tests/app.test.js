@@ -0,0 +1,368 @@
+// 前台登錄、刮刮樂與後台操作流程（App 以 local 後端在 jsdom 中執行）
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { openApp, openCampaign, singlePrizeCampaign } = require("./harness");
+
+let app;
+afterEach(async () => {
+  await app?.close();
+  app = null;
+});
+
+const WIN_CAMPAIGN = singlePrizeCampaign({
+  id: "ext_1h",
+  name: "1小時續時券",
+  type: "win",
+  limit: -1,
+});
+
+test("手機號碼格式錯誤時顯示提示且不建立訂單", async () => {
+  app = await openApp({ docs: { "config/campaign": openCampaign() } });
+  for (const phone of ["0812345678", "091234567", "09123456ab"]) {
+    await app.submitEntry({ phone });
+    assert.match(app.text(), /請輸入有效的手機號碼/);
+  }
+  assert.equal((await app.getDocs("orders")).length, 0);
+});
+
+test("登錄後刮開銀漆顯示結果，同一手機同一天不可重複登錄", async () => {
+  app = await openApp({ docs: { "config/campaign": WIN_CAMPAIGN } });
+  await app.submitEntry({ phone: "0912345678" });
+  assert.match(app.text(), /請刮開銀漆/);
+
+  await app.scratch(90);
+  assert.match(app.text(), /登記完成/);
+  assert.match(app.text(), /1小時續時券/);
+
+  await app.click(app.button("返回首頁"));
+  await app.submitEntry({ phone: "0912345678" });
+  assert.match(app.text(), /此手機號碼今日已參加過抽獎/);
+  assert.equal((await app.getDocs("orders")).length, 1);
+});
+
+test("刮開面積未超過 75% 不會揭曉", async () => {
+  app = await openApp({ docs: { "config/campaign": WIN_CAMPAIGN } });
+  await app.submitEntry({ phone: "0912345678" });
+
+  await app.scratch(75);
+  assert.match(app.text(), /請刮開銀漆/);
+  await app.scratch(76);
+  assert.match(app.text(), /登記完成/);
+});
+
+test("消費滿 4 小時才具備大獎資格並取得序號", async () => {
+  app = await openApp({ docs: { "config/campaign": WIN_CAMPAIGN } });
+  await app.submitEntry({ phone: "0911111111", duration: 3 });
+  await app.scratch(100);
+  assert.match(app.text(), /本次時長未滿4小時/);
+  await app.click(app.button("返回首頁"));
+
+  await app.submitEntry({ phone: "0922222222", duration: 4 });
+  await app.scratch(100);
+  assert.match(app.text(), /請截圖保存/);
+
+  const orders = await app.getDocs("orders");
+  const byPhone = Object.fromEntries(orders.map((o) => [o.phone, o]));
+  assert.equal(byPhone["0911111111"].isGrandEligible, false);
+  assert.equal(byPhone["0911111111"].grandDrawSerial, null);
+  assert.equal(byPhone["0922222222"].isGrandEligible, true);
+  assert.match(byPhone["0922222222"].grandDrawSerial, /^\d{7}$/);
+  assert.match(app.text(), new RegExp(byPhone["0922222222"].grandDrawSerial));
+});
+
+test("限量獎項發完後改發替代獎項", async () => {
+  app = await openApp({
+    docs: {
+      "config/campaign": singlePrizeCampaign({
+        id: "free_4h",
+        name: "4小時免費包廂卷",
+        type: "win",
+        limit: 1,
+      }),
+    },
+  });
+  await app.submitEntry({ phone: "0911111111" });
+  await app.scratch(100);
+  assert.match(app.text(), /4小時免費包廂卷/);
+  await app.click(app.button("返回首頁"));
+
+  await app.submitEntry({ phone: "0922222222" });
+  await app.scratch(100);
+  assert.match(app.text(), /50元折價券/);
+
+  const second = (
+    await app.getDocs("orders", { where: [["phone", "==", "0922222222"]] })
+  )[0];
+  assert.equal(second.scratchPrizeId, "disc_50");
+  assert.equal(second.fallbackFromPrizeId, "free_4h");
+  assert.equal((await app.getDoc("stats/prize_counts")).free_4h, 1);
+});
+
+// 後台測試用：一筆中獎、一筆未中獎的訂單
+const seedOrders = () => ({
+  "config/campaign": openCampaign(),
+  "orders/win1": {
+    phone: "0912345678",
+    phoneLast4: "5678",
+    date: "2026-02-01",
+    branch: "大林店",
+    room: "南",
+    duration: 4,
+    isGrandEligible: true,
+    grandDrawSerial: "1234567",
+    scratchPrizeId: "ext_1h",
+    scratchPrizeName: "1小時續時券",
+    scratchPrizeType: "win",
+    prizeSent: false,
+    couponCode: "ABCDEFGH",
+    timestamp: new Date("2026-02-01T12:00:00+08:00"),
+  },
+  "orders/none1": {
+    phone: "0922222222",
+    phoneLast4: "2222",
+    date: "2026-02-01",
+    branch: "八德店",
+    room: "梅",
+    duration: 1,
+    isGrandEligible: false,
+    grandDrawSerial: null,
+    scratchPrizeId: "none_1",
+    scratchPrizeName: "銘謝惠顧",
+    scratchPrizeType: "none",
+    prizeSent: false,
+    note: "熟客",
+    timestamp: new Date("2026-02-01T13:00:00+08:00"),
+  },
+});
+
+test("下載的 CSV 報表包含表頭與每筆訂單", async () => {
+  app = await openApp({ docs: seedOrders() });
+  await app.loginAdmin();
+  await app.click(app.button("下載 Excel 報表"));
+
+  assert.equal(app.downloads.length, 1);
+  assert.match(
+    app.downloads[0].name,
+    /^抽獎報表_全部分店_\d{4}-\d{2}-\d{2}\.csv$/,
+  );
+  // 開頭的 UTF-8 BOM 讓 Excel 以 UTF-8 開啟（Blob.text() 解碼時會去掉 BOM）
+  const bytes = new Uint8Array(await app.downloads[0].blob.arrayBuffer());
+  assert.deepEqual([...bytes.slice(0, 3)], [0xef, 0xbb, 0xbf]);
+  const csv = await app.downloads[0].blob.text();
+  const [header, ...rows] = csv.trim().split("\n");
+  assert.equal(
+    header,
+    "登錄時間,會員電話,分店,包廂,日期,時長(小時),大獎資格,抽獎序號,刮刮樂獎項,刮開時間,已發獎,通知狀態,兌換碼,兌換期限,兌換狀態,備註",
+  );
+  // 依登錄時間新到舊
+  assert.equal(rows.length, 2);
+  assert.match(
+    rows[0],
+    /^[^,]+,0922222222,八德店,梅,2026-02-01,1,否,,銘謝惠顧,,否,.*,熟客$/,
+  );
+  assert.match(
+    rows[1],
+    /^[^,]+,0912345678,大林店,南,2026-02-01,4,是,1234567,1小時續時券,,否,/,
+  );
+  assert.match(rows[1], /ABCD-EFGH/);
+  assert.deepEqual(app.alerts, ["✅ 已下載 2 筆資料"]);
+});
+
+test("後台切換發獎狀態並寫入稽核紀錄", async () => {
+  app = await openApp({ docs: seedOrders() });
+  await app.loginAdmin();
+  await app.click(app.button("刮刮樂領獎資料"));
+
+  await app.click(app.button("未發送"));
+  assert.ok(app.button("已發送"));
+  const order = await app.getDoc("orders/win1");
+  assert.equal(order.prizeSent, true);
+
+  const log = await app.getDoc(`audit_logs/${order.lastAuditId}`);
+  assert.equal(log.action, "prizeSent");
+  assert.equal(log.before.prizeSent, false);
+  assert.equal(log.after.prizeSent, true);
+  assert.equal(log.actorEmail, "owner@local.test");
+
+  await app.click(app.button("已發送"));
+  assert.equal((await app.getDoc("orders/win1")).prizeSent, false);
+});
+
+test("後台編輯備註並寫入稽核紀錄", async () => {
+  app = await openApp({ docs: seedOrders() });
+  await app.loginAdmin();
+
+  const row = app
+    .$$("tbody tr")
+    .find((r) => r.textContent.includes("0912345678"));
+  await app.click(row.querySelector("[title='點擊編輯備註']"));
+  await app.input(row.querySelector("textarea"), "  已電話通知  ");
+  await app.click(app.button("儲存"));
+
+  assert.match(row.textContent, /已電話通知/);
+  const order = await app.getDoc("orders/win1");
+  assert.equal(order.note, "已電話通知");
+  const log = await app.getDoc(`audit_logs/${order.lastAuditId}`);
+  assert.equal(log.action, "note");
+  assert.equal(log.before.note, "");
+  assert.equal(log.after.note, "已電話通知");
+});
+
+test("活動設定頁以編輯中的獎項設定模擬成本與改發比例", async () => {
+  app = await openApp({
+    docs: {
+      "config/campaign": {
+        ...singlePrizeCampaign({
+          id: "free_4h",
+          name: "4小時免費包廂卷",
+          type: "win",
+          limit: 5,
+        }),
+        dateRange: { min: "2026-02-01", max: "2026-02-07" },
+      },
+    },
+  });
+  await app.loginAdmin();
+  await app.click(app.button("活動設定"));
+
+  const simulator = app
+    .$$("h3")
+    .find((h) => h.textContent === "獎項模擬").parentElement;
+  const rowOf = (name) =>
+    [...simulator.querySelectorAll("tbody tr")].find((r) =>
+      r.textContent.includes(name),
+    );
+  await app.input(rowOf("4小時免費包廂卷").querySelector("input"), "800");
+  await app.click(app.button("開始模擬"));
+  await app.wait(500);
+
+  // 每間分店每天預設 20 筆登錄，第一天就會發完 5 張
+  const cells = [...rowOf("4小時免費包廂卷").querySelectorAll("td")].map(
+    (td) => td.textContent,
+  );
+  assert.equal(cells[2], "5");
+  assert.equal(cells[3], "$4,000");
+  assert.equal(cells[5], "100%");
+  assert.match(cells[6], /^第 1 天/);
+  assert.match(simulator.textContent, /庫存不足改發「50元折價券」/);
+  assert.match(simulator.textContent, /預估總成本\$4,000/);
+});
+
+test("篩選消費日期時依訂單的 date 欄位查詢，而非登錄時間", async () => {
+  const docs = seedOrders();
+  // 2/3 消費、2/1 登錄，以及 2/1 消費、2/3 登錄
+  docs["orders/win1"].date = "2026-02-03";
+  docs["orders/late1"] = {
+    ...docs["orders/win1"],
+    phone: "0933333333",
+    phoneLast4: "3333",
+    date: "2026-02-01",
+    grandDrawSerial: "7654321",
+    timestamp: new Date("2026-02-03T12:00:00+08:00"),
+  };
+  app = await openApp({ docs });
+  await app.loginAdmin();
+
+  const filterByDate = async (from, to) => {
+    const form = app.button("搜尋").closest("form");
+    const [fromInput, toInput] = form.querySelectorAll("input[type=date]");
+    await app.input(fromInput, from);
+    await app.input(toInput, to);
+    await app.submit(form);
+  };
+  const phones = () =>
+    app.$$("tbody tr").map((r) => r.textContent.match(/09\d{8}/)?.[0]);
+
+  await filterByDate("2026-02-02", "2026-02-03");
+  assert.deepEqual(phones(), ["0912345678"]);
+  await filterByDate("2026-02-01", "2026-02-01");
+  assert.deepEqual(phones(), ["0933333333"]);
+});
+
+test("後台列表每頁 50 筆，載入更多以游標接著讀取較舊的訂單", async () => {
+  const docs = { "config/campaign": openCampaign() };
+  for (let i = 0; i < 55; i++) {
+    docs[`orders/o${String(i).padStart(2, "0")}`] = {
+      phone: `09000000${String(i).padStart(2, "0")}`,
+      date: "2026-02-01",
+      branch: "大林店",
+      room: "南",
+      duration: 4,
+      isGrandEligible: true,
+      grandDrawSerial: String(1000000 + i),
+      scratchPrizeType: "none",
+      timestamp: new Date(Date.UTC(2026, 1, 1, 0, i)),
+    };
+  }
+  app = await openApp({ docs });
+  await app.loginAdmin();
+
+  const phones = () =>
+    app.$$("tbody tr").map((r) => r.textContent.match(/09\d{8}/)[0]);
+  assert.equal(phones().length, 50);
+  assert.equal(phones()[0], "0900000054");
+
+  await app.click(app.button("載入更多"));
+  const all = phones();
+  assert.equal(all.length, 55);
+  assert.equal(new Set(all).size, 55);
+  assert.deepEqual(all.slice(48), [
+    "0900000006",
+    "0900000005",
+    "0900000004",
+    "0900000003",
+    "0900000002",
+    "0900000001",
+    "0900000000",
+  ]);
+  assert.equal(app.button("載入更多"), undefined);
+});
+
+test("統計頁以計數查詢彙總負責分店的訂單", async () => {
+  const docs = seedOrders();
+  docs["config/campaign"] = openCampaign({
+    dateRange: { min: "2026-01-15", max: "2026-02-10" },
+  });
+  app = await openApp({ docs });
+  await app.loginAdmin();
+  await app.click(app.button("統計"));
+  await app.wait(50);
+
+  const card = (label) =>
+    app
+      .$$("div.text-xs")
+      .find((el) => el.textContent === label)
+      .nextElementSibling.textContent.trim();
+  assert.equal(card("總登錄數"), "2");
+  assert.equal(card("大獎資格"), "1");
+  assert.equal(card("刮刮樂中獎"), "1");
+  assert.equal(card("待發獎"), "1");
+  const chart = app.$("[title='2026-02-01：2 筆']");
+  assert.ok(chart);
+  assert.match(app.text(), /超過 7 天.*1/);
+});
+
+test("序號篩選也接受加上檢查碼之前發出的 6 位數序號", async () => {
+  const docs = seedOrders();
+  docs["orders/legacy1"] = {
+    ...docs["orders/win1"],
+    phone: "0933333333",
+    phoneLast4: "3333",
+    grandDrawSerial: "654321",
+  };
+  app = await openApp({ docs });
+  await app.loginAdmin();
+
+  const form = app.button("搜尋").closest("form");
+  const serialInput = [...form.querySelectorAll("input")].find((el) =>
+    el.placeholder.includes("序號"),
+  );
+  await app.input(serialInput, "654321");
+  await app.submit(form);
+
+  assert.doesNotMatch(app.text(), /序號格式錯誤/);
+  const phones = app
+    .$$("tbody tr")
+    .map((r) => r.textContent.match(/09\d{8}/)?.[0]);
+  assert.deepEqual(phones, ["0933333333"]);
+});
@@ -0,0 +1,250 @@
+// 無頭測試環境：以 jsdom 載入 index.html 使用的同一組腳本（lottery-core.js、storage.js、index.jsx），
+// 資料存取使用 storage.js 的 local 後端，不需網路與 Firebase
+// 執行：cd tests && npm install && npm test
+const fs = require("fs");
+const path = require("path");
+const { webcrypto } = require("crypto");
+const { JSDOM } = require("jsdom");
+const babel = require("@babel/core");
+
+const ROOT = path.resolve(__dirname, "..");
+const APP_ID = "default-mahjong-app";
+const OWNER = { email: "owner@local.test", password: "local-owner" };
+
+const readSource = (file) => fs.readFileSync(path.join(ROOT, file), "utf8");
+
+// index.jsx 只轉譯一次，每個測試載入到新的 window
+let appSource = null;
+const getAppSource = () => {
+  if (!appSource) {
+    appSource = babel.transformSync(readSource("index.jsx"), {
+      presets: ["@babel/preset-react"],
+      filename: "index.jsx",
+    }).code;
+  }
+  return appSource;
+};
+
+// 測試用活動設定：目前開放登錄、日期不受限；overrides 覆蓋任意欄位
+const openCampaign = (overrides = {}) => ({
+  startAt: new Date(Date.now() - 86400000).toISOString(),
+  endAt: new Date(Date.now() + 86400000).toISOString(),
+  dateRange: { min: "2000-01-01", max: "2099-12-31" },
+  ...overrides,
+});
+
+// 只會抽出單一獎項的獎項設定（機率 1），用來驗證限量與改發
+const singlePrizeCampaign = (prize, fallbackPrizeId = "disc_50") =>
+  openCampaign({
+    prizes: [
+      { id: "none_1", name: "銘謝惠顧", type: "none", prob: 0, limit: -1 },
+      { ...prize, prob: 1 },
+      { id: "disc_50", name: "50元折價券", type: "win", prob: 0, limit: -1 },
+    ],
+    fallbackPrizeId,
+  });
+
+// 測試檔的 Date 與 jsdom window 內的 Date 不同，寫入前轉成 window 的 Date 才會被存成 Timestamp
+const toWindowRealm = (w, value) => {
+  if (value instanceof Date) return new w.Date(value.getTime());
+  if (Array.isArray(value)) return value.map((v) => toWindowRealm(w, v));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, toWindowRealm(w, v)]),
+    );
+  }
+  return value;
+};
+
+// 建立 jsdom 並載入 App；docs 為預先寫入的文件 { [path]: data }（路徑相對於 artifacts/{appId}/public/data）
+const openApp = async ({ docs = {} } = {}) => {
+  const dom = new JSDOM('<div id="root"></div>', {
+    url: "http://localhost/",
+    pretendToBeVisual: true,
+    runScripts: "outside-only",
+  });
+  const w = dom.window;
+  // react-dom 以全域的 window / document 判斷執行環境，需在載入前設定
+  global.window = w;
+  global.document = w.document;
+  Object.defineProperty(global, "navigator", {
+    value: w.navigator,
+    configurable: true,
+    writable: true,
+  });
+  global.IS_REACT_ACT_ENVIRONMENT = true;
+  const React = require("react");
+  const ReactDOM = require("react-dom/client");
+
+  const alerts = [];
+  const prompts = [];
+  const downloads = [];
+  let scratchedPercent = 0;
+
+  Object.defineProperty(w, "crypto", { value: webcrypto, configurable: true });
+  w.TextEncoder = TextEncoder;
+  w.Blob = Blob;
+  w.URL.createObjectURL = (blob) => {
+    downloads.push({ blob, name: null });
+    return "blob:test";
+  };
+  w.URL.revokeObjectURL = () => {};
+  w.HTMLAnchorElement.prototype.click = function () {
+    downloads[downloads.length - 1].name = this.download;
+  };
+  w.alert = (message) => alerts.push(message);
+  w.confirm = () => true;
+  w.prompt = () => (prompts.length ? prompts.shift() : null);
+  w.ResizeObserver = class {
+    observe() {}
+    disconnect() {}
+  };
+  // 刮刮樂畫布：getImageData 依 scratchedPercent 回傳透明像素比例
+  w.HTMLCanvasElement.prototype.getContext = () =>
+    new Proxy(
+      {
+        getImageData: () => {
+          const data = new Uint8ClampedArray(400).fill(255);
+          for (let i = 0; i < scratchedPercent; i++) data[i * 4 + 3] = 0;
+          return { data };
+        },
+      },
+      {
+        get: (ctx, key) => (key in ctx ? ctx[key] : () => {}),
+        set: () => true,
+      },
+    );
+  w.React = React;
+  w.ReactDOM = ReactDOM;
+  w.lucideReact = {};
+  w.__app_id = APP_ID;
+  w.__storage_backend = "local";
+
+  w.eval(readSource("functions/lottery-core.js"));
+  w.eval(readSource("storage.js"));
+
+  // 以另一個 local 後端實例讀寫同一份 localStorage，App 載入時即讀到這些資料
+  const openStore = () =>
+    w.LotteryStorage.createBackend("local", {
+      appId: APP_ID,
+      storage: w.localStorage,
+    });
+  const batch = openStore().batch();
+  Object.entries(docs).forEach(([docPath, data]) =>
+    batch.set(docPath, toWindowRealm(w, data)),
+  );
+  await batch.commit();
+
+  w.eval(getAppSource());
+
+  const { act } = React;
+  const wait = (ms = 20) =>
+    act(() => new Promise((resolve) => setTimeout(resolve, ms)));
+  const root = ReactDOM.createRoot(w.document.getElementById("root"));
+  await act(async () => root.render(React.createElement(w.App)));
+  await wait(50);
+
+  const $ = (selector) => w.document.querySelector(selector);
+  const $$ = (selector) => [...w.document.querySelectorAll(selector)];
+  const text = () => w.document.getElementById("root").textContent;
+  const button = (label) =>
+    $$("button").find((b) => b.textContent.includes(label));
+
+  const click = async (el) => {
+    if (!el) throw new Error("找不到要點擊的元素");
+    await act(async () => {
+      el.dispatchEvent(new w.MouseEvent("click", { bubbles: true }));
+    });
+    await wait();
+  };
+
+  // 以 React 受控元件可辨識的方式設定輸入值
+  const input = async (el, value) => {
+    const proto =
+      el.tagName === "SELECT"
+        ? w.HTMLSelectElement.prototype
+        : el.tagName === "TEXTAREA"
+          ? w.HTMLTextAreaElement.prototype
+          : w.HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+    await act(async () => {
+      el.dispatchEvent(
+        new w.Event(el.tagName === "SELECT" ? "change" : "input", {
+          bubbles: true,
+        }),
+      );
+    });
+  };
+
+  const submit = async (form) => {
+    await act(async () => {
+      form.dispatchEvent(
+        new w.Event("submit", { bubbles: true, cancelable: true }),
+      );
+    });
+    await wait(50);
+  };
+
+  // 首頁登錄表單：未指定的欄位沿用預設值（第一間分店、第一間包廂、第一個時長）
+  const submitEntry = async ({ phone, duration }) => {
+    await input($("input[type=tel]"), phone);
+    if (duration !== undefined) {
+      const [, , durationSelect] = $$("form select");
+      await input(durationSelect, String(duration));
+    }
+    await submit($("form"));
+  };
+
+  // 刮開銀漆到指定百分比，超過門檻時等待揭曉動畫結束
+  const scratch = async (percent) => {
+    scratchedPercent = percent;
+    const canvas = $("canvas");
+    await act(async () => {
+      canvas.dispatchEvent(new w.MouseEvent("mousedown", { bubbles: true }));
+      canvas.dispatchEvent(new w.MouseEvent("mousemove", { bubbles: true }));
+      canvas.dispatchEvent(new w.MouseEvent("mouseup", { bubbles: true }));
+    });
+    await wait(500);
+  };
+
+  // 從首頁右下角的隱藏入口以本機老闆帳號登入後台
+  const loginAdmin = async ({ email, password } = OWNER) => {
+    await click($("svg[viewBox='0 0 100 120']"));
+    await input($("input[type=email]"), email);
+    await input($("input[type=password]"), password);
+    await submit($("form"));
+    await wait(50);
+  };
+
+  // 直接讀取 local 後端目前保存的資料
+  const getDocs = (name, query) => openStore().getDocs(name, query);
+  const getDoc = (docPath) => openStore().getDoc(docPath);
+
+  const close = async () => {
+    await act(async () => root.unmount());
+    w.close();
+  };
+
+  return {
+    window: w,
+    alerts,
+    prompts,
+    downloads,
+    $,
+    $$,
+    text,
+    button,
+    click,
+    input,
+    submit,
+    wait,
+    submitEntry,
+    scratch,
+    loginAdmin,
+    getDocs,
+    getDoc,
+    close,
+  };
+};
+
+module.exports = { APP_ID, openCampaign, singlePrizeCampaign, openApp };
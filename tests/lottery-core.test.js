@@ -0,0 +1,220 @@
+// 抽獎機率、限量與登錄資料驗證（functions/lottery-core.js，前台與 Cloud Functions 共用）
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_CAMPAIGN,
+  validateCampaign,
+  validateEntry,
+  drawPrize,
+  createPrizeSimulation,
+  simulatePrizes,
+  getBeaconTime,
+  getBeaconRound,
+  pickGrandSerial,
+  replayGrandDraw,
+} = require("../functions/lottery-core");
+
+// 固定種子的亂數（mulberry32），讓模擬結果可重現
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+test("預設活動設定通過驗證，獎項機率總和為 1", () => {
+  assert.deepEqual(validateCampaign(DEFAULT_CAMPAIGN), []);
+});
+
+test("依累積機率抽出獎項", () => {
+  // 累積機率：none_1 0.2625 / none_2 0.525 / ext_1h 0.725 / disc_50 0.925 / ext_2h 0.985 / free_2h 0.995 / free_4h 1
+  const draw = (rand) => drawPrize(DEFAULT_CAMPAIGN, {}, rand).prize.id;
+  assert.equal(draw(0), "none_1");
+  assert.equal(draw(0.2624), "none_1");
+  assert.equal(draw(0.2625), "none_2");
+  assert.equal(draw(0.7), "ext_1h");
+  assert.equal(draw(0.9), "disc_50");
+  assert.equal(draw(0.98), "ext_2h");
+  assert.equal(draw(0.99), "free_2h");
+  assert.equal(draw(0.999), "free_4h");
+});
+
+test("限量獎項發完時改發 fallbackPrizeId，替代獎項也發完時改發第一個獎項", () => {
+  const soldOut = { free_4h: 5 };
+  assert.deepEqual(drawPrize(DEFAULT_CAMPAIGN, { free_4h: 4 }, 0.999), {
+    prize: DEFAULT_CAMPAIGN.prizes[6],
+    fallbackFrom: null,
+  });
+
+  const result = drawPrize(DEFAULT_CAMPAIGN, soldOut, 0.999);
+  assert.equal(result.prize.id, "disc_50");
+  assert.equal(result.fallbackFrom.id, "free_4h");
+
+  const campaign = {
+    ...DEFAULT_CAMPAIGN,
+    prizes: DEFAULT_CAMPAIGN.prizes.map((p) =>
+      p.id === "disc_50" ? { ...p, limit: 10 } : p,
+    ),
+  };
+  const both = drawPrize(campaign, { ...soldOut, disc_50: 10 }, 0.999);
+  assert.equal(both.prize.id, "none_1");
+  assert.equal(both.fallbackFrom.id, "free_4h");
+});
+
+test("登錄資料驗證手機號碼、日期、分店包廂與時長", () => {
+  const campaign = {
+    ...DEFAULT_CAMPAIGN,
+    dateRange: { min: "2026-02-01", max: "2026-02-28" },
+  };
+  const entry = {
+    phone: "0912345678",
+    date: "2026-02-10",
+    branch: "大林店",
+    room: "南",
+    duration: 4,
+  };
+  assert.equal(validateEntry(campaign, entry), null);
+
+  for (const phone of [
+    "",
+    "0812345678",
+    "091234567",
+    "09123456789",
+    "0912-345678",
+  ]) {
+    assert.match(validateEntry(campaign, { ...entry, phone }), /手機號碼/);
+  }
+  assert.equal(
+    validateEntry(campaign, { ...entry, date: "2026-03-01" }),
+    "日期不在活動期間內",
+  );
+  assert.equal(
+    validateEntry(campaign, { ...entry, room: "梅" }),
+    "請選擇正確的分店與包廂",
+  );
+  assert.equal(
+    validateEntry(campaign, { ...entry, duration: 7 }),
+    "請選擇正確的時長",
+  );
+});
+
+test("模擬的發出數量符合獎項機率", () => {
+  const result = simulatePrizes(DEFAULT_CAMPAIGN, {
+    entriesPerDay: { 大林店: 60, 八德店: 40 },
+    days: 28,
+    runs: 50,
+    random: seededRandom(1),
+  });
+  assert.ok(Math.abs(result.entries - 2800) < 50);
+  const share = (id) =>
+    result.prizes.find((p) => p.id === id).count / result.entries;
+  assert.ok(Math.abs(share("none_1") - 0.2625) < 0.01);
+  assert.ok(Math.abs(share("ext_1h") - 0.2) < 0.01);
+  // 2 小時續時券（6%、限量 30）幾天內就會發完，之後改發 50 元折價券
+  const ext2h = result.prizes.find((p) => p.id === "ext_2h");
+  assert.equal(ext2h.count, 30);
+  assert.equal(ext2h.soldOutRate, 1);
+  assert.ok(ext2h.soldOutDay >= 3 && ext2h.soldOutDay <= 6);
+  assert.ok(result.fallbacks > 0);
+  assert.ok(Math.abs(share("disc_50") - (0.2 + result.fallbackRate)) < 0.001);
+});
+
+test("限量獎項發完後的每筆登錄都計入改發比例", () => {
+  const campaign = {
+    ...DEFAULT_CAMPAIGN,
+    prizes: [
+      { id: "none_1", name: "銘謝惠顧", type: "none", prob: 0, limit: -1 },
+      {
+        id: "free_4h",
+        name: "4小時免費包廂卷",
+        type: "win",
+        prob: 1,
+        limit: 10,
+      },
+      { id: "disc_50", name: "50元折價券", type: "win", prob: 0, limit: -1 },
+    ],
+  };
+  const result = simulatePrizes(campaign, {
+    entriesPerDay: { 大林店: 5 },
+    days: 10,
+    runs: 200,
+    random: seededRandom(2),
+  });
+  const [, free4h, disc50] = result.prizes;
+  assert.ok(free4h.count > 9.9 && free4h.count <= 10);
+  assert.ok(free4h.soldOutRate > 0.99);
+  assert.equal(free4h.soldOutDay, 1);
+  assert.ok(Math.abs(disc50.count - result.fallbacks) < 1e-9);
+  assert.ok(
+    Math.abs(result.fallbackRate - result.fallbacks / result.entries) < 1e-9,
+  );
+});
+
+test("沒有登錄時模擬結果為 0，限量獎項不會發完", () => {
+  const result = simulatePrizes(DEFAULT_CAMPAIGN, {
+    entriesPerDay: { 大林店: 0 },
+    days: 28,
+    runs: 10,
+  });
+  assert.equal(result.entries, 0);
+  assert.equal(result.fallbackRate, 0);
+  result.prizes.forEach((p) => {
+    assert.equal(p.count, 0);
+    assert.equal(p.soldOutRate, 0);
+    assert.equal(p.soldOutDay, null);
+  });
+});
+
+test("分段執行的模擬與一次執行的結果相同", () => {
+  const options = {
+    entriesPerDay: { 大林店: 30, 八德店: 10 },
+    days: 14,
+    runs: 20,
+  };
+  const expected = simulatePrizes(DEFAULT_CAMPAIGN, {
+    ...options,
+    random: seededRandom(3),
+  });
+  const simulation = createPrizeSimulation(DEFAULT_CAMPAIGN, {
+    ...options,
+    random: seededRandom(3),
+  });
+  let progress = 0;
+  let chunks = 0;
+  while (!simulation.step(500)) {
+    assert.ok(simulation.progress() > progress && simulation.progress() < 1);
+    progress = simulation.progress();
+    chunks++;
+  }
+  assert.ok(chunks > 5);
+  assert.equal(simulation.progress(), 1);
+  assert.deepEqual(simulation.result(), expected);
+});
+
+test("公開雜湊時指定的 drand 回合在指定時間之後才產生", () => {
+  for (const time of [
+    Date.UTC(2026, 1, 1),
+    Date.UTC(2026, 1, 1) + 1500,
+    getBeaconTime(5000000),
+  ]) {
+    const round = getBeaconRound(time);
+    assert.ok(getBeaconTime(round) > time);
+    assert.ok(getBeaconTime(round - 1) <= time);
+  }
+});
+
+test("大獎抽獎結果由種子、drand 亂數與抽獎次序決定，且不重複抽出", async () => {
+  const serials = ["1000009", "2000007", "3000005", "4000003", "5000001"];
+  const seed = "a".repeat(64);
+  const drawn = await replayGrandDraw(seed, "b".repeat(64), serials, 6);
+  assert.equal(drawn.length, 5);
+  assert.deepEqual([...drawn].sort(), serials);
+  assert.equal(
+    await pickGrandSerial(seed, "b".repeat(64), 2, serials, drawn.slice(0, 2)),
+    drawn[2],
+  );
+
+  // 換一個 drand 亂數就會得到不同的抽獎順序
+  const other = await replayGrandDraw(seed, "c".repeat(64), serials, 5);
+  assert.notDeepEqual(other, drawn);
+});
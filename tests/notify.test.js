@@ -0,0 +1,134 @@
+// 中獎通知發送（functions/index.js 的 sendNotification），以記憶體中的 Firestore 替身執行
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Module = require("module");
+const path = require("path");
+
+// --- 最小的 firebase-admin / firebase-functions 替身，只實作通知流程用到的部分 ---
+const docs = new Map();
+let autoId = 0;
+const timestamp = (ms) => ({
+  toMillis: () => ms,
+  seconds: Math.floor(ms / 1000),
+});
+
+const docRef = (docPath) => ({
+  path: docPath,
+  id: docPath.split("/").pop(),
+  get parent() {
+    return collectionRef(docPath.split("/").slice(0, -1).join("/"));
+  },
+  collection: (name) => collectionRef(`${docPath}/${name}`),
+});
+const collectionRef = (colPath) => ({
+  path: colPath,
+  get parent() {
+    return docRef(colPath.split("/").slice(0, -1).join("/"));
+  },
+  doc: (id = `auto${++autoId}`) => docRef(`${colPath}/${id}`),
+});
+
+const db = {
+  doc: docRef,
+  collection: collectionRef,
+  // 讀取即時取值，寫入在函式結束後一次套用
+  runTransaction: async (fn) => {
+    const writes = [];
+    const result = await fn({
+      get: async (ref) => ({
+        exists: docs.has(ref.path),
+        data: () => docs.get(ref.path),
+      }),
+      set: (ref, data) => writes.push(() => docs.set(ref.path, { ...data })),
+      update: (ref, data) =>
+        writes.push(() =>
+          docs.set(ref.path, { ...docs.get(ref.path), ...data }),
+        ),
+    });
+    writes.forEach((write) => write());
+    return result;
+  },
+};
+
+const mocks = {
+  "firebase-admin/app": { initializeApp: () => {} },
+  "firebase-admin/firestore": {
+    getFirestore: () => db,
+    FieldValue: { serverTimestamp: () => timestamp(Date.now()) },
+    Timestamp: { fromMillis: timestamp, now: () => timestamp(Date.now()) },
+  },
+  "firebase-functions/v2": { setGlobalOptions: () => {} },
+  "firebase-functions/v2/https": {
+    onCall: (handler) => handler,
+    HttpsError: class HttpsError extends Error {
+      constructor(code, message) {
+        super(message);
+        this.code = code;
+      }
+    },
+  },
+  "firebase-functions/v2/firestore": {
+    onDocumentCreated: (pattern, handler) => handler,
+  },
+  "firebase-functions/v2/scheduler": {
+    onSchedule: (options, handler) => handler,
+  },
+};
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return mocks[request] || load.call(this, request, ...args);
+};
+const functions = require(path.resolve(__dirname, "../functions/index.js"));
+Module._load = load;
+
+const BASE = "artifacts/default-mahjong-app/public/data";
+
+beforeEach(() => {
+  docs.clear();
+  delete process.env.NOTIFY_PROVIDER;
+  delete process.env.FUNCTIONS_EMULATOR;
+  docs.set(`${BASE}/orders/o1`, {
+    branch: "大林店",
+    prizeSent: false,
+    notifyStatus: "queued",
+  });
+  docs.set(`${BASE}/notify_queue/o1`, {
+    phone: "0912345678",
+    branch: "大林店",
+    message: "恭喜中獎",
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: null,
+  });
+});
+
+const sendNotification = () =>
+  functions.sendNotification({
+    data: { ref: db.doc(`${BASE}/notify_queue/o1`) },
+  });
+
+test("未設定通知管道時（非 emulator）不標記已發送，通知留待重試", async () => {
+  await sendNotification();
+
+  const order = docs.get(`${BASE}/orders/o1`);
+  assert.equal(order.prizeSent, false);
+  assert.equal(order.notifyStatus, "retrying");
+  const item = docs.get(`${BASE}/notify_queue/o1`);
+  assert.equal(item.status, "pending");
+  assert.match(item.lastError, /NOTIFY_PROVIDER/);
+  assert.ok(![...docs.keys()].some((key) => key.includes("/audit_logs/")));
+});
+
+test("Functions emulator 中未設定通知管道時使用 mock 並標記已發送", async () => {
+  process.env.FUNCTIONS_EMULATOR = "true";
+  await sendNotification();
+
+  const order = docs.get(`${BASE}/orders/o1`);
+  assert.equal(order.prizeSent, true);
+  assert.equal(order.notifyStatus, "sent");
+  assert.equal(docs.get(`${BASE}/notify_queue/o1`).status, "sent");
+  assert.equal(
+    docs.get(`${BASE}/audit_logs/${order.lastAuditId}`).actorName,
+    "自動通知（mock）",
+  );
+});